@@ -15,6 +15,71 @@ async function loadBatches() {
   return batchesCache;
 }
 
+/**
+ * Find scenes left waiting/adding by a previous background page and mark them interrupted
+ * Nothing is processing yet when this runs, so any pending scene was cut off by an unload
+ * @returns {Array<string>} IDs of batches with interrupted scenes
+ */
+function markInterruptedScenes() {
+  const batchIds = [];
+  
+  for (const batch of batchesCache) {
+    // A monitor action cut off mid-request can't be resumed, just report it
+    if (batch.type === 'monitor' && batch.status === 'adding') {
+      batch.status = 'error';
+      batch.error = 'Interrupted before finishing';
+      continue;
+    }
+    
+    let interrupted = false;
+    for (const scene of batch.scenes) {
+      if (scene.status === 'waiting' || scene.status === 'adding') {
+        scene.interruptedFrom = scene.status;
+        scene.status = 'interrupted';
+        scene.error = 'Interrupted before finishing';
+        interrupted = true;
+      }
+    }
+    if (interrupted) {
+      batchIds.push(batch.id);
+    }
+  }
+  
+  return batchIds;
+}
+
+// On startup, mark interrupted scenes and resume them if the user opted in
+async function recoverInterruptedBatches() {
+  await loadBatches();
+  resumeSearchTracking();
+  
+  // Alarms don't survive a browser restart, so restart the held scene probe
+  if (batchesCache.some(batch => batch.scenes.some(scene => scene.status === 'held'))) {
+    ensureHeldQueueAlarm();
+  }
+  // ...and download tracking
+  if (getDownloadTrackedScenes().length > 0) {
+    ensureDownloadTrackingAlarm();
+  }
+  
+  const batchIds = markInterruptedScenes();
+  if (batchIds.length === 0) {
+    return;
+  }
+  
+  await saveBatches();
+  console.log("[StashDB-Whisparr] Found", batchIds.length, "interrupted batches");
+  
+  const { autoResumeBatches } = await browser.storage.sync.get({ autoResumeBatches: false });
+  if (autoResumeBatches) {
+    for (const batchId of batchIds) {
+      resumeBatch(batchId).catch(error => {
+        console.error("[StashDB-Whisparr] Failed to resume batch", batchId, error);
+      });
+    }
+  }
+}
+
 // Save batches to storage and broadcast update
 async function saveBatches() {
   await browser.storage.local.set({ batches: batchesCache });
@@ -31,16 +96,20 @@ function broadcastBatchUpdate() {
   });
 }
 
-// Create a new batch
-function createBatch(stashIds) {
+// Create a new batch (overrides are the per-add choices from the override dialog, if any)
+// Scraped metadata is kept on each scene so an interrupted batch can be resumed
+function createBatch(scenes, overrides = null, batchTag = null) {
   const batch = {
     id: `batch-${Date.now()}`,
     timestamp: Date.now(),
-    scenes: stashIds.map(stashId => ({
+    overrides,
+    batchTag,
+    scenes: scenes.map(({ stashId, ...metadata }) => ({
       stashId,
       title: null,
       status: 'waiting',
-      error: null
+      error: null,
+      metadata
     }))
   };
   batchesCache.push(batch);
@@ -48,6 +117,26 @@ function createBatch(stashIds) {
   return batch;
 }
 
+// Record a performer/studio monitor action in the history shown alongside batches
+function createMonitorEntry(entityType, stashId, server) {
+  const entry = {
+    id: `monitor-${Date.now()}`,
+    type: 'monitor',
+    timestamp: Date.now(),
+    entityType,
+    stashId,
+    name: null,
+    serverId: server?.id || null,
+    serverName: server?.name || null,
+    status: 'adding',
+    error: null,
+    scenes: []
+  };
+  batchesCache.push(entry);
+  saveBatches();
+  return entry;
+}
+
 // Update a scene's status in a batch
 function updateSceneStatus(batchId, stashId, updates) {
   const batch = batchesCache.find(b => b.id === batchId);
@@ -56,22 +145,153 @@ function updateSceneStatus(batchId, stashId, updates) {
     if (scene) {
       Object.assign(scene, updates);
       saveBatches();
+      if (DOWNLOAD_TRACKED_STATUSES.includes(updates.status)) {
+        ensureDownloadTrackingAlarm();
+      }
     }
   }
 }
 
-// Load batches on extension load
-loadBatches();
+// Load batches on extension load and pick up anything left unfinished
+const batchesLoaded = recoverInterruptedBatches().catch(error => {
+  console.error("[StashDB-Whisparr] Failed to recover batches:", error);
+});
+
+// ============================================
+// Work Queue and Rate Limiting
+// ============================================
+
+// Defaults for the queue settings (stored in sync storage, edited on the options page)
+const defaultQueueSettings = {
+  queueConcurrency: 3,
+  queueRequestsPerSecond: 5
+};
+
+// Wait for a number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a work queue that runs at most `concurrency` tasks at once
+ * @param {number} concurrency - Maximum number of tasks running in parallel
+ * @returns {Object} Queue with push(task) -> Promise of the task's result,
+ *   and pause(promise) for a running task to give up its slot while it waits
+ */
+function createWorkQueue(concurrency) {
+  const pending = [];
+  // Paused tasks waiting for a slot again (served before new tasks)
+  const resuming = [];
+  let active = 0;
+  
+  const queue = {
+    concurrency,
+    
+    push(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        runNext();
+      });
+    },
+    
+    // Free the calling task's slot until the promise settles (e.g. a retry backoff), then take one again
+    async pause(promise) {
+      active--;
+      runNext();
+      try {
+        return await promise;
+      } finally {
+        await new Promise(resolve => {
+          resuming.push(resolve);
+          runNext();
+        });
+      }
+    },
+    
+    get size() {
+      return pending.length + active;
+    }
+  };
+  
+  function runNext() {
+    while (active < queue.concurrency && resuming.length > 0) {
+      active++;
+      resuming.shift()();
+    }
+    while (active < queue.concurrency && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          runNext();
+        });
+    }
+  }
+  
+  return queue;
+}
+
+/**
+ * Create a rate limiter that spaces calls evenly to stay under a requests-per-second limit
+ * @param {number} requestsPerSecond - Maximum rate (0 disables the limit)
+ * @returns {Object} Limiter with acquire() -> Promise resolved when the call may proceed
+ */
+function createRateLimiter(requestsPerSecond) {
+  let nextSlot = 0;
+  
+  const limiter = {
+    requestsPerSecond,
+    
+    async acquire() {
+      if (!limiter.requestsPerSecond || limiter.requestsPerSecond <= 0) {
+        return;
+      }
+      
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + 1000 / limiter.requestsPerSecond;
+      
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    }
+  };
+  
+  return limiter;
+}
+
+// Shared queue for batch adds and retries, and the limiter for lookup/add/search requests
+const workQueue = createWorkQueue(defaultQueueSettings.queueConcurrency);
+const whisparrRateLimiter = createRateLimiter(defaultQueueSettings.queueRequestsPerSecond);
+
+// Apply queue settings from storage
+function applyQueueSettings(settings) {
+  workQueue.concurrency = Math.max(1, parseInt(settings.queueConcurrency, 10) || defaultQueueSettings.queueConcurrency);
+  whisparrRateLimiter.requestsPerSecond = Math.max(0, parseFloat(settings.queueRequestsPerSecond) || 0);
+  console.log("[StashDB-Whisparr] Queue settings:", workQueue.concurrency, "concurrent,", whisparrRateLimiter.requestsPerSecond, "req/s");
+}
+
+// Load queue settings on extension load and follow changes from the options page
+browser.storage.sync.get(defaultQueueSettings).then(applyQueueSettings);
+
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.queueConcurrency || changes.queueRequestsPerSecond)) {
+    browser.storage.sync.get(defaultQueueSettings).then(applyQueueSettings);
+  }
+});
 
 // ============================================
 // Filter State Management
 // ============================================
 
-// Default filters is now an empty array (individual filters)
-const defaultFilters = [];
+// ID of the top-level filter group
+const FILTER_ROOT_ID = 'root';
 
-// In-memory cache of filters (array of filter objects)
-let filtersCache = [];
+// In-memory cache of filters (the root group, with filters and nested groups as children)
+let filtersCache = createFilterGroup('and', FILTER_ROOT_ID);
 
 /**
  * Create a new filter object with defaults
@@ -80,30 +300,93 @@ let filtersCache = [];
 function createNewFilter() {
   return {
     id: `filter-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    type: 'studio',  // studio, performer, name, tag
-    mode: 'blocklist',  // blocklist, allowlist
+    type: 'studio',  // studio, performer, name, tag, or a range type (released, duration, performerCount)
+    mode: 'blocklist',  // blocklist, allowlist, alwaysAllow (exception that overrides every other filter)
     value: '',  // regex pattern
+    min: '',  // range start for range types (date or number)
+    max: '',  // range end for range types
     enabled: true
   };
 }
 
+/**
+ * Create a filter group
+ * @param {string} combinator - 'and' (every child must pass) or 'or' (one passing child is enough)
+ * @param {string|null} id - Group ID (generated if not given)
+ * @returns {Object} New group object
+ */
+function createFilterGroup(combinator = 'and', id = null) {
+  return {
+    id: id || `group-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: 'group',
+    combinator,
+    enabled: true,
+    children: []  // filters and nested groups
+  };
+}
+
 // Load filters from storage on startup
 async function loadFilters() {
-  const data = await browser.storage.local.get({ filters: defaultFilters });
-  // Handle migration from old format to new format
-  if (Array.isArray(data.filters)) {
+  const data = await browser.storage.local.get({ filters: null });
+  // Handle migration from older formats to the group format
+  if (data.filters?.type === 'group') {
     filtersCache = data.filters;
+  } else if (Array.isArray(data.filters)) {
+    // Migrate from flat array format
+    filtersCache = migrateFlatFilters(data.filters);
+    await browser.storage.local.set({ filters: filtersCache });
   } else if (typeof data.filters === 'object' && data.filters !== null) {
     // Migrate from old category-based format
-    filtersCache = migrateOldFilters(data.filters);
+    filtersCache = migrateFlatFilters(migrateOldFilters(data.filters));
     // Save migrated filters
     await browser.storage.local.set({ filters: filtersCache });
   } else {
-    filtersCache = [];
+    filtersCache = createFilterGroup('and', FILTER_ROOT_ID);
   }
   return filtersCache;
 }
 
+/**
+ * Migrate from flat array format to a root group
+ * Flat filters were all required to pass, so they become children of an AND group
+ */
+function migrateFlatFilters(flatFilters) {
+  const root = createFilterGroup('and', FILTER_ROOT_ID);
+  root.children = flatFilters;
+  console.log("[StashDB-Whisparr] Migrated", flatFilters.length, "filters into a filter group");
+  return root;
+}
+
+/**
+ * Find a filter or group by ID
+ * @returns {Object|null} { node, parent, index } (parent is null for the root group)
+ */
+function findFilterNode(id, group = filtersCache) {
+  if (group.id === id) {
+    return { node: group, parent: null, index: -1 };
+  }
+  
+  for (let index = 0; index < group.children.length; index++) {
+    const child = group.children[index];
+    if (child.id === id) {
+      return { node: child, parent: group, index };
+    }
+    if (child.type === 'group') {
+      const found = findFilterNode(id, child);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Count the filters (not groups) in a group and its nested groups
+function countFilters(group) {
+  return group.children.reduce((count, child) => count + (child.type === 'group' ? countFilters(child) : 1), 0);
+}
+
 /**
  * Migrate from old category-based filter format to new array format
  */
@@ -164,7 +447,7 @@ loadFilters();
 /**
  * Normalize metadata from either scraped StashDB data or Whisparr lookup data
  * @param {Object} sceneData - Scene data (from scraping or Whisparr lookup)
- * @returns {Object} Normalized metadata { studio, performers, tags, title }
+ * @returns {Object} Normalized metadata { studio, performers, tags, title, date, duration }
  */
 function normalizeSceneMetadata(sceneData) {
   // Handle scraped metadata format (from content script)
@@ -173,7 +456,9 @@ function normalizeSceneMetadata(sceneData) {
       studio: sceneData.studio || '',
       performers: sceneData.performers || [],
       tags: sceneData.tags || [],
-      title: sceneData.title || ''
+      title: sceneData.title || '',
+      date: sceneData.date || null,
+      duration: sceneData.duration ?? null
     };
   }
   
@@ -185,15 +470,31 @@ function normalizeSceneMetadata(sceneData) {
     .filter(Boolean);
   const tags = sceneData.genres || [];
   const title = sceneData.title || '';
+  const date = sceneData.releaseDate ? sceneData.releaseDate.slice(0, 10) : null;
+  // Whisparr's runtime is in minutes
+  const duration = sceneData.runtime ? sceneData.runtime * 60 : null;
   
-  return { studio, performers, tags, title };
+  return { studio, performers, tags, title, date, duration };
 }
 
+// Filter types compared against a min/max range instead of a regex
+const RANGE_FILTER_TYPES = ['released', 'duration', 'performerCount'];
+
+const FILTER_TYPE_LABELS = {
+  studio: 'Studio',
+  performer: 'Performer',
+  name: 'Name',
+  tag: 'Tag',
+  released: 'Released',
+  duration: 'Duration',
+  performerCount: 'Performer count'
+};
+
 /**
  * Get the scene value(s) for a given filter type
- * @param {string} filterType - The filter type (studio, performer, name, tag)
+ * @param {string} filterType - The filter type (studio, performer, name, tag, released, duration, performerCount)
  * @param {Object} metadata - Normalized scene metadata
- * @returns {string|Array} The value(s) to test against
+ * @returns {string|Array|number|null} The value(s) to test against (duration in minutes, null if unknown)
  */
 function getSceneValueByType(filterType, metadata) {
   switch (filterType) {
@@ -205,6 +506,13 @@ function getSceneValueByType(filterType, metadata) {
       return metadata.title || '';
     case 'tag':
       return metadata.tags || [];
+    case 'released':
+      return metadata.date || null;
+    case 'duration':
+      return metadata.duration != null ? metadata.duration / 60 : null;
+    case 'performerCount':
+      // No performers usually means none were scraped from the card, so treat the count as unknown
+      return metadata.performers?.length ? metadata.performers.length : null;
     default:
       return '';
   }
@@ -227,17 +535,26 @@ function regexMatchesValue(regex, value) {
  * Evaluate a single filter against scene metadata
  * @param {Object} filter - The filter object
  * @param {Object} metadata - Normalized scene metadata
- * @returns {Object} { pass: boolean, reason: string|null }
+ * @returns {Object} { pass: boolean|null, reason: string|null } - pass is null when the filter doesn't apply
  */
 function evaluateFilter(filter, metadata) {
   // Skip disabled filters
   if (!filter.enabled) {
-    return { pass: true, reason: null };
+    return { pass: null, reason: null };
+  }
+  
+  // Exceptions are checked before the groups are evaluated
+  if (filter.mode === 'alwaysAllow') {
+    return { pass: null, reason: null };
+  }
+  
+  if (RANGE_FILTER_TYPES.includes(filter.type)) {
+    return evaluateRangeFilter(filter, metadata);
   }
   
   // Skip filters with empty values
   if (!filter.value || filter.value.trim() === '') {
-    return { pass: true, reason: null };
+    return { pass: null, reason: null };
   }
   
   // Get the scene value for this filter type
@@ -249,14 +566,14 @@ function evaluateFilter(filter, metadata) {
     regex = new RegExp(filter.value, 'i');
   } catch (e) {
     console.warn("[StashDB-Whisparr] Invalid regex in filter:", filter.value, e);
-    return { pass: true, reason: null };  // Skip invalid regex
+    return { pass: null, reason: null };  // Skip invalid regex
   }
   
   // Test if the regex matches
   const matches = regexMatchesValue(regex, sceneValue);
   
   // Get display name for the type
-  const typeLabel = filter.type.charAt(0).toUpperCase() + filter.type.slice(1);
+  const typeLabel = FILTER_TYPE_LABELS[filter.type] || filter.type;
   
   if (filter.mode === 'blocklist') {
     // Blocklist: FAIL if regex matches
@@ -279,35 +596,189 @@ function evaluateFilter(filter, metadata) {
   return { pass: true, reason: null };
 }
 
+// Convert a range bound or scene value to a number (dates become timestamps), or null if unusable
+function getRangeNumber(filterType, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = filterType === 'released' ? Date.parse(value) : parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// Describe a range filter's bounds for filter reasons (e.g. "after 2020-01-01", "10–30 min")
+function describeFilterRange(filter) {
+  const hasMin = getRangeNumber(filter.type, filter.min) !== null;
+  const hasMax = getRangeNumber(filter.type, filter.max) !== null;
+  
+  if (filter.type === 'released') {
+    if (hasMin && hasMax) return `${filter.min} to ${filter.max}`;
+    return hasMin ? `after ${filter.min}` : `before ${filter.max}`;
+  }
+  
+  const unit = filter.type === 'duration' ? ' min' : '';
+  if (hasMin && hasMax) return `${filter.min}–${filter.max}${unit}`;
+  return hasMin ? `≥ ${filter.min}${unit}` : `≤ ${filter.max}${unit}`;
+}
+
+/**
+ * Evaluate a range filter (release date, duration, performer count) against scene metadata
+ * Bounds are inclusive; a scene whose value is unknown is not filtered.
+ * @param {Object} filter - The filter object with min and/or max
+ * @param {Object} metadata - Normalized scene metadata
+ * @returns {Object} { pass: boolean|null, reason: string|null } - pass is null when the filter doesn't apply
+ */
+function evaluateRangeFilter(filter, metadata) {
+  const min = getRangeNumber(filter.type, filter.min);
+  const max = getRangeNumber(filter.type, filter.max);
+  
+  // Skip filters without bounds
+  if (min === null && max === null) {
+    return { pass: null, reason: null };
+  }
+  
+  const sceneValue = getRangeNumber(filter.type, getSceneValueByType(filter.type, metadata));
+  if (sceneValue === null) {
+    return { pass: null, reason: null };
+  }
+  
+  const inRange = (min === null || sceneValue >= min) && (max === null || sceneValue <= max);
+  const typeLabel = FILTER_TYPE_LABELS[filter.type];
+  
+  if (filter.mode === 'blocklist') {
+    // Blocklist: FAIL if the value is in the range
+    if (inRange) {
+      return { pass: false, reason: `Blocked ${typeLabel}: ${describeFilterRange(filter)}` };
+    }
+  } else {
+    // Allowlist: FAIL if the value is outside the range
+    if (!inRange) {
+      return { pass: false, reason: `${typeLabel} doesn't match: ${describeFilterRange(filter)}` };
+    }
+  }
+  
+  return { pass: true, reason: null };
+}
+
+/**
+ * Evaluate a filter group: AND groups are decided by their first failing child, OR groups by
+ * their first passing child. Children that don't apply are skipped.
+ * @param {Object} group - The group object
+ * @param {Object} metadata - Normalized scene metadata
+ * @returns {Object} { pass: boolean|null, reason: string|null, path: Array<string> }
+ *   path holds the IDs from this group down to the filter that decided the outcome
+ */
+function evaluateFilterGroup(group, metadata) {
+  if (!group.enabled) {
+    return { pass: null, reason: null, path: [] };
+  }
+  
+  // The child result that settles the group early
+  const decidedBy = group.combinator === 'or';
+  const results = [];
+  
+  for (const child of group.children) {
+    const result = child.type === 'group'
+      ? evaluateFilterGroup(child, metadata)
+      : { ...evaluateFilter(child, metadata), path: [child.id] };
+    
+    if (result.pass === null) continue;
+    if (result.pass === decidedBy) {
+      return { pass: result.pass, reason: result.reason, path: [group.id, ...result.path] };
+    }
+    results.push(result);
+  }
+  
+  // No child applied
+  if (results.length === 0) {
+    return { pass: null, reason: null, path: [] };
+  }
+  
+  // AND: every child passed; OR: every child failed
+  return {
+    pass: !decidedBy,
+    reason: decidedBy ? results.map(r => r.reason).join('; ') : null,
+    path: [group.id]
+  };
+}
+
+/**
+ * Find an always-allow filter matching the scene, in enabled groups only
+ * @param {Object} group - The group object
+ * @param {Object} metadata - Normalized scene metadata
+ * @returns {Object|null} { filter, path } for the first matching exception
+ */
+function findMatchingException(group, metadata) {
+  if (!group.enabled) {
+    return null;
+  }
+  
+  for (const child of group.children) {
+    if (child.type === 'group') {
+      const found = findMatchingException(child, metadata);
+      if (found) {
+        return { filter: found.filter, path: [group.id, ...found.path] };
+      }
+      continue;
+    }
+    
+    if (child.mode !== 'alwaysAllow' || !child.enabled || RANGE_FILTER_TYPES.includes(child.type)) continue;
+    if (!child.value || child.value.trim() === '') continue;
+    
+    let regex;
+    try {
+      regex = new RegExp(child.value, 'i');
+    } catch (e) {
+      continue;  // Skip invalid regex
+    }
+    
+    if (regexMatchesValue(regex, getSceneValueByType(child.type, metadata))) {
+      return { filter: child, path: [group.id, child.id] };
+    }
+  }
+  
+  return null;
+}
+
 /**
- * Check if a scene should be added based on all filters
+ * Check if a scene should be added based on the filter groups
  * @param {Object} sceneData - Scene data (scraped metadata or Whisparr lookup)
- * @returns {Object} { shouldAdd: boolean, reason: string|null, filterId: string|null }
+ * @param {Object} filters - Root filter group (defaults to the saved filters)
+ * @returns {Object} { shouldAdd: boolean, reason: string|null, filterId: string|null, filterPath: Array<string>, allowedBy: string|null }
+ *   filterId is the filter or group that decided a rejection (or the exception that overrode it),
+ *   filterPath the IDs leading to it, allowedBy describes the always-allow exception that overrode a rejection
  */
-function shouldAddScene(sceneData) {
+function shouldAddScene(sceneData, filters = filtersCache) {
   const metadata = normalizeSceneMetadata(sceneData);
   
   console.log("[StashDB-Whisparr] Evaluating filters for scene:", metadata.title || sceneData.stashId);
   console.log("[StashDB-Whisparr] Scene metadata:", metadata);
-  console.log("[StashDB-Whisparr] Active filters:", filtersCache.length);
+  console.log("[StashDB-Whisparr] Active filters:", countFilters(filters));
   
-  // If no filters, allow everything
-  if (!filtersCache || filtersCache.length === 0) {
-    console.log("[StashDB-Whisparr] No filters configured, allowing scene");
-    return { shouldAdd: true, reason: null, filterId: null };
+  const result = evaluateFilterGroup(filters, metadata);
+  
+  // No filter applied, allow the scene
+  if (result.pass === null) {
+    console.log("[StashDB-Whisparr] No filters apply, allowing scene");
+    return { shouldAdd: true, reason: null, filterId: null, filterPath: [], allowedBy: null };
   }
   
-  // Evaluate each filter in order
-  for (const filter of filtersCache) {
-    const result = evaluateFilter(filter, metadata);
-    if (!result.pass) {
-      console.log("[StashDB-Whisparr] Scene blocked by filter:", filter.id, result.reason);
-      return { shouldAdd: false, reason: result.reason, filterId: filter.id };
+  if (!result.pass) {
+    // Always-allow exceptions win over every block and allow filter
+    const exception = findMatchingException(filters, metadata);
+    if (exception) {
+      const { filter } = exception;
+      const allowedBy = `Always allow ${FILTER_TYPE_LABELS[filter.type] || filter.type}: /${filter.value}/`;
+      console.log("[StashDB-Whisparr] Scene allowed by exception:", exception.path.join(" > "), allowedBy, "- would have been blocked:", result.reason);
+      return { shouldAdd: true, reason: null, filterId: filter.id, filterPath: exception.path, allowedBy };
     }
+    
+    const filterId = result.path[result.path.length - 1];
+    console.log("[StashDB-Whisparr] Scene blocked by filter:", result.path.join(" > "), result.reason);
+    return { shouldAdd: false, reason: result.reason, filterId, filterPath: result.path, allowedBy: null };
   }
   
-  console.log("[StashDB-Whisparr] Scene passed all filters");
-  return { shouldAdd: true, reason: null, filterId: null };
+  console.log("[StashDB-Whisparr] Scene passed filters:", result.path.join(" > "));
+  return { shouldAdd: true, reason: null, filterId: null, filterPath: result.path, allowedBy: null };
 }
 
 // ============================================
@@ -324,6 +795,30 @@ browser.runtime.onInstalled.addListener(() => {
       "*://stashdb.org/*"
     ]
   });
+  browser.contextMenus.create({
+    id: "add-to-whisparr-custom",
+    title: "Add to Whisparr\u2026",
+    contexts: ["page", "link"],
+    documentUrlPatterns: [
+      "*://stashdb.org/*"
+    ]
+  });
+  browser.contextMenus.create({
+    id: "monitor-performer",
+    title: "Monitor Performer in Whisparr",
+    contexts: ["page"],
+    documentUrlPatterns: [
+      "*://stashdb.org/performers/*"
+    ]
+  });
+  browser.contextMenus.create({
+    id: "monitor-studio",
+    title: "Monitor Studio in Whisparr",
+    contexts: ["page"],
+    documentUrlPatterns: [
+      "*://stashdb.org/studios/*"
+    ]
+  });
 });
 
 // Handle context menu click
@@ -331,7 +826,26 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
   console.log("[StashDB-Whisparr] Context menu clicked:", info.menuItemId);
   console.log("[StashDB-Whisparr] Click info:", { linkUrl: info.linkUrl, pageUrl: tab.url });
   
-  if (info.menuItemId === "add-to-whisparr") {
+  if (info.menuItemId === "monitor-performer" || info.menuItemId === "monitor-studio") {
+    const entityType = info.menuItemId === "monitor-performer" ? "performer" : "studio";
+    try {
+      const stashId = extractStashId(tab.url, MONITORED_ENTITY_TYPES[entityType].urlSection);
+      if (!stashId) {
+        showNotification("Error", `No ${entityType} ID found in this page's URL`);
+        return;
+      }
+      await monitorEntity(entityType, stashId);
+    } catch (error) {
+      console.error("[StashDB-Whisparr] Error:", error);
+      showNotification("Error", error.message);
+    }
+    return;
+  }
+  
+  if (info.menuItemId === "add-to-whisparr" || info.menuItemId === "add-to-whisparr-custom") {
+    // The "Add to Whisparr..." variant asks for per-add overrides first
+    const withOverrides = info.menuItemId === "add-to-whisparr-custom";
+    
     try {
       // Case 1: Right-clicked on a scene link
       if (info.linkUrl && info.linkUrl.includes("/scenes/")) {
@@ -345,7 +859,12 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
           });
           const sceneMetadata = metadataResponse?.metadata || { stashId };
           console.log("[StashDB-Whisparr] Got metadata for clicked scene:", sceneMetadata);
-          await addSingleSceneWithMetadata(stashId, sceneMetadata, tab.id);
+          const overrides = withOverrides ? await showOverrideDialog(1) : null;
+          if (withOverrides && !overrides) {
+            console.log("[StashDB-Whisparr] User cancelled add");
+            return;
+          }
+          await addSingleSceneWithMetadata(stashId, sceneMetadata, tab.id, overrides, overrides?.batchTag || null);
           return;
         }
       }
@@ -358,7 +877,12 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
           // Get metadata from the current scene detail page
           const metadataResponse = await browser.tabs.sendMessage(tab.id, { action: "getCurrentSceneMetadata" });
           const sceneMetadata = metadataResponse?.metadata || { stashId };
-          await addSingleSceneWithMetadata(stashId, sceneMetadata, tab.id);
+          const overrides = withOverrides ? await showOverrideDialog(1) : null;
+          if (withOverrides && !overrides) {
+            console.log("[StashDB-Whisparr] User cancelled add");
+            return;
+          }
+          await addSingleSceneWithMetadata(stashId, sceneMetadata, tab.id, overrides, overrides?.batchTag || null);
           return;
         }
       }
@@ -375,15 +899,27 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
       const scenes = response.scenes;
       console.log("[StashDB-Whisparr] Found", scenes.length, "scenes with metadata");
       
-      // Show confirmation popup
-      const confirmed = await showConfirmationPopup(scenes.length, tab.id);
-      if (!confirmed) {
-        console.log("[StashDB-Whisparr] User cancelled bulk add");
-        return;
+      // Show confirmation popup (the override dialog doubles as confirmation)
+      let overrides = null;
+      let batchTag = null;
+      if (withOverrides) {
+        overrides = await showOverrideDialog(scenes.length);
+        if (!overrides) {
+          console.log("[StashDB-Whisparr] User cancelled bulk add");
+          return;
+        }
+        batchTag = overrides.batchTag || null;
+      } else {
+        const confirmation = await showConfirmationPopup(scenes.length, tab.id);
+        if (!confirmation?.confirmed) {
+          console.log("[StashDB-Whisparr] User cancelled bulk add");
+          return;
+        }
+        batchTag = confirmation.batchTag || null;
       }
       
       // Add all scenes with their metadata (filtering happens before API calls)
-      await addMultipleScenesWithMetadata(scenes);
+      await addMultipleScenesWithMetadata(scenes, overrides, batchTag);
       
     } catch (error) {
       console.error("[StashDB-Whisparr] Error:", error);
@@ -393,9 +929,12 @@ browser.contextMenus.onClicked.addListener(async (info, tab) => {
 });
 
 // Add a single scene to Whisparr with pre-filtering (no Whisparr API call if filtered)
-async function addSingleSceneWithMetadata(stashId, metadata, tabId) {
+async function addSingleSceneWithMetadata(stashId, metadata, tabId, overrides = null, batchTag = null) {
+  // Prefer StashDB API metadata over what the content script scraped
+  [metadata] = await enrichSceneMetadata([{ ...metadata, stashId }]);
+  
   // Create a batch with single scene for tracking
-  const batch = createBatch([stashId]);
+  const batch = createBatch([{ ...metadata, stashId }], overrides, batchTag);
   
   // Get title from metadata for display
   const scrapedTitle = metadata?.title || null;
@@ -404,167 +943,328 @@ async function addSingleSceneWithMetadata(stashId, metadata, tabId) {
   const filterResult = shouldAddScene(metadata);
   if (!filterResult.shouldAdd) {
     console.log("[StashDB-Whisparr] Scene pre-filtered (no API call):", filterResult.reason);
-    updateSceneStatus(batch.id, stashId, { status: 'filtered', title: scrapedTitle, error: filterResult.reason });
+    updateSceneStatus(batch.id, stashId, { status: 'filtered', title: scrapedTitle, error: filterResult.reason, filterPath: filterResult.filterPath });
     showNotification("Filtered", `Scene skipped: ${filterResult.reason}`);
     return;
   }
   
+  // Pick the destination server (an override wins over the routing rules)
+  const settings = await getSettings();
+  const server = overrides?.serverId
+    ? getServerById(settings, overrides.serverId)
+    : resolveServerForScene(settings, metadata);
+  
   // Update status to adding (scene passed filters)
-  updateSceneStatus(batch.id, stashId, { status: 'adding', title: scrapedTitle });
+  updateSceneStatus(batch.id, stashId, {
+    status: 'adding',
+    title: scrapedTitle,
+    serverId: server?.id || null,
+    serverName: server?.name || null,
+    allowedBy: filterResult.allowedBy,
+    attempts: 1
+  });
   
   try {
-    const result = await addSceneToWhisparr(stashId);
+    const result = await addSceneWithRetry(batch.id, stashId, server, overrides, { metadata, batchTag });
     const title = result?.title || result?.movie?.title || scrapedTitle;
     console.log("[StashDB-Whisparr] Result:", result);
     
-    if (result && result.searched) {
-      updateSceneStatus(batch.id, stashId, { status: 'searched', title, error: null });
+    if (result && result.upgradeSearched) {
+      updateSceneStatus(batch.id, stashId, { status: 'upgrade-searched', title, ...getSceneErrorFields(), whisparrId: result.movie?.id, searchCommandId: result.commandId });
+      trackSearchCommand(batch.id, stashId);
+      showNotification("Upgrade Search", `Existing file is below the quality cutoff - upgrade search triggered`);
+    } else if (result && result.searched) {
+      updateSceneStatus(batch.id, stashId, { status: 'searched', title, ...getSceneErrorFields(), whisparrId: result.movie?.id, searchCommandId: result.commandId });
+      trackSearchCommand(batch.id, stashId);
       showNotification("Searching", `Scene already in Whisparr - search triggered`);
     } else if (result && result.exists) {
-      updateSceneStatus(batch.id, stashId, { status: 'exists', title, error: null });
+      updateSceneStatus(batch.id, stashId, { status: 'exists', title, ...getSceneErrorFields() });
       showNotification("Exists", `Scene already exists with file`);
     } else {
-      updateSceneStatus(batch.id, stashId, { status: 'added', title, error: null });
+      updateSceneStatus(batch.id, stashId, { status: 'added', title, ...getSceneErrorFields(), whisparrId: result?.id });
       showNotification("Success", `Scene added to Whisparr`);
     }
   } catch (error) {
     console.error("[StashDB-Whisparr] Error:", error);
     if (error.message.includes("already exists") || error.message.includes("File already exists")) {
-      updateSceneStatus(batch.id, stashId, { status: 'exists', title: error.sceneTitle || scrapedTitle, error: null });
+      updateSceneStatus(batch.id, stashId, { status: 'exists', title: error.sceneTitle || scrapedTitle, ...getSceneErrorFields() });
       showNotification("Exists", `Scene already exists with file`);
+    } else if (getErrorKind(error) === 'excluded') {
+      updateSceneStatus(batch.id, stashId, { status: 'excluded', title: error.sceneTitle || scrapedTitle, error: error.message });
+      showNotification("Excluded", `Scene is on Whisparr's import exclusion list`);
+    } else if (isConnectivityError(error) && server) {
+      holdScene(batch.id, stashId, server, error, scrapedTitle);
     } else {
-      updateSceneStatus(batch.id, stashId, { status: 'error', title: error.sceneTitle || scrapedTitle, error: error.message });
+      updateSceneStatus(batch.id, stashId, { status: 'error', title: error.sceneTitle || scrapedTitle, ...getSceneErrorFields(error) });
       showNotification("Error", error.message);
     }
   }
 }
 
 // Add multiple scenes with pre-filtering (no Whisparr API calls for filtered scenes)
-async function addMultipleScenesWithMetadata(scenes) {
-  const total = scenes.length;
-  let added = 0;
-  let searched = 0;
-  let failed = 0;
-  let alreadyExists = 0;
+async function addMultipleScenesWithMetadata(scenes, overrides = null, batchTag = null) {
   let filtered = 0;
   
+  // Prefer StashDB API metadata over what the content script scraped
+  scenes = await enrichSceneMetadata(scenes);
+  
   // PRE-FILTER: Check all scenes BEFORE any Whisparr API calls
   const scenesToProcess = [];
   const filteredScenes = [];
+  const allowedByException = new Map();
   
   for (const scene of scenes) {
     const filterResult = shouldAddScene(scene);
     if (filterResult.shouldAdd) {
       scenesToProcess.push(scene);
+      if (filterResult.allowedBy) {
+        allowedByException.set(scene.stashId, filterResult.allowedBy);
+      }
     } else {
-      filteredScenes.push({ scene, reason: filterResult.reason });
+      filteredScenes.push({ scene, reason: filterResult.reason, filterPath: filterResult.filterPath });
       filtered++;
     }
   }
   
   console.log(`[StashDB-Whisparr] Pre-filter: ${scenesToProcess.length} to process, ${filtered} filtered out`);
   
+  // Scenes for a server that is down are held rather than failing one by one
+  if (scenesToProcess.length > 0) {
+    await checkBulkAddServers(scenesToProcess, overrides);
+  }
+  
   // Create batch for tracking (all scenes, including filtered ones)
-  const allStashIds = scenes.map(s => s.stashId);
-  const batch = createBatch(allStashIds);
+  const batch = createBatch(scenes, overrides, batchTag);
   
   // Immediately mark filtered scenes as filtered (no API call needed)
-  for (const { scene, reason } of filteredScenes) {
+  for (const { scene, reason, filterPath } of filteredScenes) {
     updateSceneStatus(batch.id, scene.stashId, { 
       status: 'filtered', 
       title: scene.title || null, 
-      error: reason 
+      error: reason,
+      filterPath
     });
   }
   
-  // Only process scenes that passed filters
-  const toProcessCount = scenesToProcess.length;
+  // Record which exception let a scene through its block filters
+  for (const [stashId, allowedBy] of allowedByException) {
+    updateSceneStatus(batch.id, stashId, { allowedBy });
+  }
   
-  if (toProcessCount === 0) {
+  // Only process scenes that passed filters
+  if (scenesToProcess.length === 0) {
     // All scenes were filtered, show summary immediately
     await showProgressNotification("whisparr-bulk-progress", "Complete", `${filtered} scenes filtered`);
     console.log("[StashDB-Whisparr] Bulk add complete: all scenes filtered");
     return;
   }
   
-  // Create initial progress notification
-  const notificationId = "whisparr-bulk-progress";
-  await showProgressNotification(notificationId, "Adding Scenes", `Adding scene 1 of ${toProcessCount}...`);
+  await runBatchScenes(batch, scenesToProcess, { filtered });
+}
+
+/**
+ * Add one scene of a batch to Whisparr and record the outcome on the batch
+ * @param {Object} batch - The batch record
+ * @param {Object} scene - Scraped scene metadata ({ stashId, title, studio, ... })
+ * @param {Object} settings - Settings from getSettings()
+ * @returns {Promise<string>} The scene's final status
+ */
+async function processBatchScene(batch, scene, settings) {
+  const stashId = scene.stashId;
+  const scrapedTitle = scene.title || null;
+  const overrides = batch.overrides || null;
+  
+  // Check if batch was cancelled before this scene started
+  if (cancelledBatchIds.has(batch.id)) {
+    updateSceneStatus(batch.id, stashId, { 
+      status: 'cancelled', 
+      title: scrapedTitle, 
+      error: 'Cancelled by user' 
+    });
+    return 'cancelled';
+  }
+  
+  // Pick the destination server (an override wins over the routing rules)
+  const server = overrides?.serverId
+    ? getServerById(settings, overrides.serverId)
+    : resolveServerForScene(settings, scene);
+  
+  // Don't wait out retries against a server already known to be down
+  if (server && offlineServerIds.has(server.id)) {
+    holdScene(batch.id, stashId, server, null, scrapedTitle);
+    return 'held';
+  }
   
-  let cancelled = 0;
+  // Update scene status to 'adding'
+  updateSceneStatus(batch.id, stashId, {
+    status: 'adding',
+    title: scrapedTitle,
+    serverId: server?.id || null,
+    serverName: server?.name || null,
+    attempts: 1
+  });
   
-  for (let i = 0; i < scenesToProcess.length; i++) {
-    const scene = scenesToProcess[i];
-    const stashId = scene.stashId;
-    const scrapedTitle = scene.title || null;
+  try {
+    const result = await addSceneWithRetry(batch.id, stashId, server, overrides, { metadata: scene, batchTag: batch.batchTag || null }, { queued: true });
+    const title = result?.title || result?.movie?.title || scrapedTitle;
     
-    // Check if batch was cancelled
-    if (cancelledBatchIds.has(batch.id)) {
-      // Mark remaining scenes as cancelled
-      for (let j = i; j < scenesToProcess.length; j++) {
-        const remainingScene = scenesToProcess[j];
-        updateSceneStatus(batch.id, remainingScene.stashId, { 
-          status: 'cancelled', 
-          title: remainingScene.title || null, 
-          error: 'Cancelled by user' 
-        });
-        cancelled++;
-      }
-      cancelledBatchIds.delete(batch.id);
-      break;
+    if (result && result.upgradeSearched) {
+      updateSceneStatus(batch.id, stashId, { status: 'upgrade-searched', title, ...getSceneErrorFields(), whisparrId: result.movie?.id, searchCommandId: result.commandId });
+      trackSearchCommand(batch.id, stashId);
+      return 'upgrade-searched';
+    } else if (result && result.searched) {
+      updateSceneStatus(batch.id, stashId, { status: 'searched', title, ...getSceneErrorFields(), whisparrId: result.movie?.id, searchCommandId: result.commandId });
+      trackSearchCommand(batch.id, stashId);
+      return 'searched';
+    } else if (result && result.exists) {
+      updateSceneStatus(batch.id, stashId, { status: 'exists', title, ...getSceneErrorFields() });
+      return 'exists';
+    } else {
+      updateSceneStatus(batch.id, stashId, { status: 'added', title, ...getSceneErrorFields(), whisparrId: result?.id });
+      return 'added';
     }
-    
-    // Update scene status to 'adding'
-    updateSceneStatus(batch.id, stashId, { status: 'adding', title: scrapedTitle });
-    
-    // Update progress notification
-    await showProgressNotification(notificationId, "Adding Scenes", `Adding scene ${i + 1} of ${toProcessCount}...`);
-    
-    try {
-      const result = await addSceneToWhisparr(stashId);
-      const title = result?.title || result?.movie?.title || scrapedTitle;
-      
-      if (result && result.searched) {
-        searched++;
-        updateSceneStatus(batch.id, stashId, { status: 'searched', title, error: null, whisparrId: result.movie?.id });
-      } else if (result && result.exists) {
-        alreadyExists++;
-        updateSceneStatus(batch.id, stashId, { status: 'exists', title, error: null });
-      } else {
-        added++;
-        updateSceneStatus(batch.id, stashId, { status: 'added', title, error: null, whisparrId: result?.id });
-      }
-    } catch (error) {
-      console.error(`[StashDB-Whisparr] Failed to add scene ${stashId}:`, error);
-      if (error.message.includes("already exists") || error.message.includes("File already exists")) {
-        alreadyExists++;
-        updateSceneStatus(batch.id, stashId, { status: 'exists', title: error.sceneTitle || scrapedTitle, error: null });
-      } else {
-        failed++;
-        updateSceneStatus(batch.id, stashId, { status: 'error', title: error.sceneTitle || scrapedTitle, error: error.message });
-      }
+  } catch (error) {
+    console.error(`[StashDB-Whisparr] Failed to add scene ${stashId}:`, error);
+    if (error.message.includes("already exists") || error.message.includes("File already exists")) {
+      updateSceneStatus(batch.id, stashId, { status: 'exists', title: error.sceneTitle || scrapedTitle, ...getSceneErrorFields() });
+      return 'exists';
     }
-    
-    // Small delay to avoid overwhelming the server
-    if (i < scenesToProcess.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 500));
+    if (getErrorKind(error) === 'excluded') {
+      updateSceneStatus(batch.id, stashId, { status: 'excluded', title: error.sceneTitle || scrapedTitle, error: error.message });
+      return 'excluded';
+    }
+    if (isConnectivityError(error) && server) {
+      holdScene(batch.id, stashId, server, error, scrapedTitle);
+      return 'held';
     }
+    updateSceneStatus(batch.id, stashId, { status: 'error', title: error.sceneTitle || scrapedTitle, ...getSceneErrorFields(error) });
+    return 'error';
+  }
+}
+
+/**
+ * Run a batch's scenes through the work queue with progress and summary notifications
+ * @param {Object} batch - The batch record
+ * @param {Array} scenes - Scraped scene metadata for the scenes to add
+ * @param {Object} extraCounts - Counts to include in the summary (e.g. { filtered })
+ */
+async function runBatchScenes(batch, scenes, extraCounts = {}) {
+  const settings = await getSettings();
+  const total = scenes.length;
+  const counts = { added: 0, searched: 0, 'upgrade-searched': 0, exists: 0, excluded: 0, held: 0, cancelled: 0, error: 0, ...extraCounts };
+  let completed = 0;
+  
+  // Build the library index up front so scenes already in Whisparr skip their lookups
+  await getLibraryIndex();
+  
+  // Create initial progress notification
+  const notificationId = "whisparr-bulk-progress";
+  await showProgressNotification(notificationId, "Adding Scenes", `Adding ${total} scenes...`);
+  
+  // Run the scenes through the shared work queue (concurrency and rate limits apply)
+  await Promise.all(scenes.map(scene => workQueue.push(async () => {
+    const status = await processBatchScene(batch, scene, settings);
+    counts[status]++;
+    
+    // Update progress notification
+    completed++;
+    if (status !== 'cancelled') {
+      await showProgressNotification(notificationId, "Adding Scenes", `Added ${completed} of ${total} scenes...`);
+    }
+  })));
+  cancelledBatchIds.delete(batch.id);
+  
+  // Show final summary
+  const parts = [];
+  if (counts.added > 0) parts.push(`${counts.added} added`);
+  if (counts.searched > 0) parts.push(`${counts.searched} search triggered`);
+  if (counts['upgrade-searched'] > 0) parts.push(`${counts['upgrade-searched']} upgrade search triggered`);
+  if (counts.exists > 0) parts.push(`${counts.exists} already exist`);
+  if (counts.excluded > 0) parts.push(`${counts.excluded} excluded`);
+  if (counts.held > 0) parts.push(`${counts.held} held until Whisparr is back`);
+  if (counts.filtered > 0) parts.push(`${counts.filtered} filtered`);
+  if (counts.cancelled > 0) parts.push(`${counts.cancelled} cancelled`);
+  if (counts.error > 0) parts.push(`${counts.error} failed`);
+  
+  const summary = parts.length > 0 ? parts.join(", ") : "No changes";
+  
+  await showProgressNotification(notificationId, counts.cancelled > 0 ? "Cancelled" : "Complete", summary);
+  
+  console.log("[StashDB-Whisparr] Bulk add complete:", summary);
+}
+
+/**
+ * Resume the interrupted scenes of a batch
+ * Scenes that were mid-add are checked against Whisparr first so nothing is added twice
+ * @param {string} batchId - Batch ID
+ */
+async function resumeBatch(batchId) {
+  const batch = batchesCache.find(b => b.id === batchId);
+  if (!batch) {
+    throw new Error('Batch not found');
+  }
+  
+  const interrupted = batch.scenes.filter(s => s.status === 'interrupted');
+  if (interrupted.length === 0) {
+    throw new Error('No interrupted scenes to resume');
+  }
+  
+  console.log("[StashDB-Whisparr] Resuming", interrupted.length, "scenes in batch", batchId);
+  
+  // Queue everything again first so the popup shows the batch as pending
+  for (const scene of interrupted) {
+    updateSceneStatus(batchId, scene.stashId, { status: 'waiting', error: null });
+  }
+  
+  const settings = await getSettings();
+  const toAdd = [];
+  
+  for (const scene of interrupted) {
+    const sceneMetadata = { ...(scene.metadata || {}), stashId: scene.stashId, title: scene.title || scene.metadata?.title || null };
+    
+    if (scene.interruptedFrom === 'adding') {
+      const server = getServerById(settings, scene.serverId);
+      const existing = await reconcileInterruptedScene(server, scene.stashId);
+      if (existing) {
+        console.log("[StashDB-Whisparr] Interrupted scene already in Whisparr:", scene.stashId);
+        updateSceneStatus(batchId, scene.stashId, { status: 'added', title: existing.title, error: null, whisparrId: existing.id });
+        continue;
+      }
+    }
+    
+    toAdd.push(sceneMetadata);
+  }
+  
+  if (toAdd.length > 0) {
+    await runBatchScenes(batch, toAdd);
+  }
+}
+
+/**
+ * Check whether a scene that was mid-add made it into Whisparr
+ * @returns {Promise<Object|null>} The Whisparr movie, or null if it was not added
+ */
+async function reconcileInterruptedScene(server, stashId) {
+  try {
+    assertServerConfigured(server);
+    const client = createWhisparrClient(server);
+    
+    const response = await client.send("listScenes", { query: { foreignId: stashId } });
+    if (!response.ok) {
+      return null;
+    }
+    
+    const movies = await client.parse("listScenes", response);
+    const movie = Array.isArray(movies) ? movies.find(m => m.foreignId === stashId) || null : null;
+    if (movie) {
+      updateLibraryIndexEntry(stashId, server, movie);
+    }
+    return movie;
+  } catch (error) {
+    // Fall back to a normal add; its lookup will report the scene as existing
+    console.warn("[StashDB-Whisparr] Could not reconcile interrupted scene:", stashId, error);
+    return null;
   }
-  
-  // Show final summary
-  const parts = [];
-  if (added > 0) parts.push(`${added} added`);
-  if (searched > 0) parts.push(`${searched} search triggered`);
-  if (alreadyExists > 0) parts.push(`${alreadyExists} already exist`);
-  if (filtered > 0) parts.push(`${filtered} filtered`);
-  if (cancelled > 0) parts.push(`${cancelled} cancelled`);
-  if (failed > 0) parts.push(`${failed} failed`);
-  
-  const summary = parts.length > 0 ? parts.join(", ") : "No changes";
-  
-  await showProgressNotification(notificationId, cancelled > 0 ? "Cancelled" : "Complete", summary);
-  
-  console.log("[StashDB-Whisparr] Bulk add complete:", summary);
 }
 
 // Show or update a progress notification (clears and recreates since update() isn't available)
@@ -588,34 +1288,41 @@ async function showProgressNotification(notificationId, title, message) {
   });
 }
 
-// Show confirmation popup and return whether user confirmed
-async function showConfirmationPopup(sceneCount, tabId) {
+/**
+ * Open an extension page in a popup window and wait for its answer
+ * @param {string} pagePath - Extension page path including query string
+ * @param {string} responseAction - Message action the page sends back
+ * @param {Object} size - Window { width, height }
+ * @returns {Promise<Object|null>} The page's message, or null if the window was closed
+ */
+function openDialogWindow(pagePath, responseAction, size) {
   return new Promise((resolve) => {
-    const popupUrl = browser.runtime.getURL(`confirm.html?count=${sceneCount}`);
+    const popupUrl = browser.runtime.getURL(pagePath);
     
     browser.windows.create({
       url: popupUrl,
       type: "popup",
-      width: 400,
-      height: 200
+      width: size.width,
+      height: size.height
     }).then((popupWindow) => {
       // Listen for the popup response
       const messageListener = (message, sender) => {
-        if (message.action === "confirmBulkAdd") {
+        if (message.action === responseAction) {
           browser.runtime.onMessage.removeListener(messageListener);
+          browser.windows.onRemoved.removeListener(windowListener);
           browser.windows.remove(popupWindow.id).catch(() => {});
-          resolve(message.confirmed);
+          resolve(message);
         }
       };
       
       browser.runtime.onMessage.addListener(messageListener);
       
-      // Also handle window close without confirming
+      // Also handle window close without answering
       const windowListener = (windowId) => {
         if (windowId === popupWindow.id) {
           browser.windows.onRemoved.removeListener(windowListener);
           browser.runtime.onMessage.removeListener(messageListener);
-          resolve(false);
+          resolve(null);
         }
       };
       
@@ -624,213 +1331,1616 @@ async function showConfirmationPopup(sceneCount, tabId) {
   });
 }
 
-// Extract StashID (UUID) from URL
-function extractStashId(url) {
-  const match = url.match(/\/scenes\/([a-f0-9-]+)/i);
+// Show confirmation popup and return the user's answer ({ confirmed, batchTag }, or null if closed)
+async function showConfirmationPopup(sceneCount, tabId) {
+  return openDialogWindow(`confirm.html?count=${sceneCount}`, "confirmBulkAdd", { width: 400, height: 280 });
+}
+
+// Show the per-add override dialog and return the chosen overrides (null if cancelled)
+async function showOverrideDialog(sceneCount) {
+  const response = await openDialogWindow(`override.html?count=${sceneCount}`, "confirmOverrides", { width: 440, height: 700 });
+  return response?.overrides || null;
+}
+
+// Extract a StashDB ID from a URL (section is the path segment, e.g. "scenes" or "performers")
+function extractStashId(url, section = "scenes") {
+  const match = url.match(new RegExp(`/${section}/([a-f0-9-]+)`, "i"));
   return match ? match[1] : null;
 }
 
-// Get settings from storage
-async function getSettings() {
-  const defaults = {
+// Legacy single-server settings keys (pre server profiles)
+const legacySettingKeys = ["whisparrUrl", "apiKey", "rootFolderPath", "qualityProfileId", "searchForMovie", "monitored"];
+
+/**
+ * Migrate the legacy single-server settings into a server profile list
+ */
+async function migrateLegacySettings() {
+  const stored = await browser.storage.sync.get({
+    servers: null,
     whisparrUrl: "",
     apiKey: "",
     rootFolderPath: "",
     qualityProfileId: 1,
     searchForMovie: true,
     monitored: true
+  });
+  
+  if (Array.isArray(stored.servers) || !stored.whisparrUrl) {
+    return;
+  }
+  
+  const server = {
+    id: "server-default",
+    name: "Whisparr",
+    whisparrUrl: stored.whisparrUrl,
+    apiKey: stored.apiKey,
+    rootFolderPath: stored.rootFolderPath,
+    qualityProfileId: stored.qualityProfileId,
+    searchForMovie: stored.searchForMovie,
+    monitored: stored.monitored
+  };
+  
+  await browser.storage.sync.set({ servers: [server], defaultServerId: server.id, routingRules: [] });
+  await browser.storage.sync.remove(legacySettingKeys);
+  console.log("[StashDB-Whisparr] Migrated legacy settings to server profile:", server.name);
+}
+
+// Run settings migration on extension load
+const settingsMigration = migrateLegacySettings().catch(error => {
+  console.error("[StashDB-Whisparr] Settings migration failed:", error);
+});
+
+// Get settings from storage
+async function getSettings() {
+  await settingsMigration;
+  
+  const defaults = {
+    servers: [],
+    defaultServerId: null,
+    routingRules: [],
+    tagRules: []
   };
   
   const stored = await browser.storage.sync.get(defaults);
   return stored;
 }
 
-// Add scene to Whisparr
-async function addSceneToWhisparr(stashId) {
-  const settings = await getSettings();
+/**
+ * Find a server profile by ID
+ * @param {Object} settings - Settings from getSettings()
+ * @param {string|null} serverId - Server profile ID
+ * @returns {Object|null} The server profile, or the default server if not found
+ */
+function getServerById(settings, serverId) {
+  const server = settings.servers.find(s => s.id === serverId);
+  if (server) {
+    return server;
+  }
+  return settings.servers.find(s => s.id === settings.defaultServerId) || settings.servers[0] || null;
+}
+
+/**
+ * Test a routing/tag rule against normalized scene metadata
+ * Rules match the same way filters do: a case-insensitive regex against the rule's field
+ * @param {Object} rule - Rule with { type, value, enabled }
+ * @param {Object} metadata - Normalized scene metadata
+ * @returns {boolean} True if the rule is enabled and matches
+ */
+function ruleMatchesScene(rule, metadata) {
+  if (!rule.enabled || !rule.value || rule.value.trim() === '') {
+    return false;
+  }
   
-  if (!settings.whisparrUrl || !settings.apiKey) {
-    throw new Error("Please configure Whisparr settings in extension options");
+  let regex;
+  try {
+    regex = new RegExp(rule.value, 'i');
+  } catch (e) {
+    console.warn("[StashDB-Whisparr] Invalid regex in rule:", rule.value, e);
+    return false;
   }
+  
+  return regexMatchesValue(regex, getSceneValueByType(rule.type, metadata));
+}
 
-  // Normalize the URL (remove trailing slash)
-  const baseUrl = settings.whisparrUrl.replace(/\/$/, "");
+/**
+ * Pick the server a scene should be sent to using the routing rules
+ * Rules are checked in order; the first match wins, otherwise the default server is used
+ * @param {Object} settings - Settings from getSettings()
+ * @param {Object} sceneData - Scene data (scraped metadata or Whisparr lookup)
+ * @returns {Object|null} The server profile, or null if no servers are configured
+ */
+function resolveServerForScene(settings, sceneData) {
+  const metadata = normalizeSceneMetadata(sceneData || {});
+  
+  for (const rule of settings.routingRules) {
+    const server = settings.servers.find(s => s.id === rule.serverId);
+    if (server && ruleMatchesScene(rule, metadata)) {
+      console.log("[StashDB-Whisparr] Routing rule matched:", rule.id, "->", server.name);
+      return server;
+    }
+  }
   
-  // First, lookup the scene from StashDB via Whisparr's lookup endpoint
-  const lookupEndpoint = `${baseUrl}/api/v3/lookup/scene?term=${stashId}`;
+  return getServerById(settings, settings.defaultServerId);
+}
+
+/**
+ * Throw if a server profile is missing or incomplete
+ */
+function assertServerConfigured(server) {
+  if (!server || !server.whisparrUrl || !server.apiKey) {
+    throw new WhisparrError("Please configure Whisparr settings in extension options", "config");
+  }
+}
+
+// ============================================
+// Whisparr Retry
+// ============================================
+
+// Error kinds that usually clear up on their own and are retried automatically
+const TRANSIENT_ERROR_KINDS = new Set(["network", "rate-limited", "server"]);
+
+const RETRY_MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Whether a validation failure only says the scene is already in the library
+function isExistingSceneError(validationErrors) {
+  return !!validationErrors && validationErrors.some(e =>
+    e.code === "MovieExistsValidator" || /already (been added|exists)/i.test(e.message)
+  );
+}
+
+// A rejected add that points at the tags (e.g. a tag deleted in Whisparr since it was cached)
+function isTagError(error) {
+  if (error?.kind === "not-found") return true;
+  return error?.kind === "validation" && !!error.validationErrors && error.validationErrors.some(e =>
+    /^tags?\b/i.test(e.propertyName || "") || /\btag/i.test(e.message || "")
+  );
+}
+
+function getErrorKind(error) {
+  return error?.kind || "unknown";
+}
+
+// Backoff delay before the next attempt: exponential with jitter, or the server's Retry-After
+function getRetryDelay(attempt, error) {
+  if (error?.retryAfterMs != null) {
+    return Math.min(error.retryAfterMs, RETRY_MAX_DELAY_MS);
+  }
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  // Jitter keeps parallel queue workers from retrying in lockstep
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Run a task, retrying transient failures with backoff; permanent ones fail immediately
+ * The thrown error carries the number of attempts made
+ * @param {Function} task - Async function to run
+ * @param {Function} onRetry - Optional callback(nextAttempt, error, delayMs) before each retry
+ * @param {Function} wait - Waits out a backoff delay (ms) -> Promise
+ */
+async function withRetry(task, onRetry = null, wait = sleep) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      error.attempts = attempt;
+      if (!TRANSIENT_ERROR_KINDS.has(getErrorKind(error)) || attempt >= RETRY_MAX_ATTEMPTS) {
+        throw error;
+      }
+      
+      const delay = getRetryDelay(attempt, error);
+      console.warn(`[StashDB-Whisparr] ${getErrorKind(error)} error, retrying in ${delay}ms:`, error.message);
+      if (onRetry) {
+        onRetry(attempt + 1, error, delay);
+      }
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Add a scene with automatic retries, keeping the batch scene's attempt count current
+ * Callers running as a work queue task pass queued, so backoffs don't hold a queue slot.
+ */
+async function addSceneWithRetry(batchId, stashId, server, overrides, tagging, { queued = false } = {}) {
+  const result = await withRetry(
+    () => addSceneToWhisparr(stashId, server, overrides, tagging),
+    (attempt, error) => updateSceneStatus(batchId, stashId, { attempts: attempt, errorKind: getErrorKind(error), error: error.message }),
+    queued ? delay => workQueue.pause(sleep(delay)) : sleep
+  );
+  // The server answered, so stop holding scenes for it
+  offlineServerIds.delete(server?.id);
+  return result;
+}
+
+// Scene fields recording a failure (or clearing one after success)
+function getSceneErrorFields(error = null) {
+  if (!error) {
+    return { error: null, errorKind: null, validationErrors: null };
+  }
+  return {
+    error: error.message,
+    errorKind: getErrorKind(error),
+    attempts: error.attempts || 1,
+    validationErrors: error.validationErrors || null
+  };
+}
+
+// ============================================
+// Server Health
+// ============================================
+
+// How long a health probe result is reused
+const SERVER_HEALTH_TTL_MS = 30 * 1000;
+
+// Latest probe result per server ID
+const serverHealthCache = new Map();
+
+/**
+ * Probe a server's system status and health checks
+ * @param {Object} server - Server profile
+ * @param {boolean} force - Probe even if a recent result is cached
+ * @returns {Promise<Object>} { serverId, serverName, reachable, version, warnings, error, errorKind, checkedAt }
+ */
+async function probeServerHealth(server, force = false) {
+  const cached = serverHealthCache.get(server.id);
+  if (cached && !force && Date.now() - cached.checkedAt < SERVER_HEALTH_TTL_MS) {
+    return cached;
+  }
+  
+  const health = {
+    serverId: server.id,
+    serverName: server.name,
+    reachable: false,
+    version: null,
+    warnings: [],
+    error: null,
+    errorKind: null,
+    checkedAt: Date.now()
+  };
   
-  console.log("[StashDB-Whisparr] Looking up scene:", lookupEndpoint);
+  try {
+    assertServerConfigured(server);
+    const client = createWhisparrClient(server);
+    
+    const status = await client.request("systemStatus", {}, "Status check failed");
+    health.reachable = true;
+    health.version = status.version || null;
+    
+    // Health checks cover things like missing root folders or no indexers
+    const healthResponse = client.supports("health") ? await client.send("health") : null;
+    if (healthResponse?.ok) {
+      const checks = await client.parse("health", healthResponse);
+      health.warnings = checks
+        .filter(check => check.type !== 'ok')
+        .map(check => ({ type: check.type, source: check.source, message: check.message }));
+    }
+  } catch (error) {
+    console.warn("[StashDB-Whisparr] Health probe failed for", server.name, error);
+    health.error = error.message;
+    health.errorKind = getErrorKind(error);
+  }
   
-  const lookupResponse = await fetch(lookupEndpoint, {
-    method: "GET",
-    headers: {
-      "X-Api-Key": settings.apiKey,
-      "X-Requested-With": "XMLHttpRequest"
+  serverHealthCache.set(server.id, health);
+  return health;
+}
+
+// Probe every configured server
+async function getServersHealth(force = false) {
+  const settings = await getSettings();
+  return Promise.all(settings.servers.map(server => probeServerHealth(server, force)));
+}
+
+/**
+ * Probe the servers a bulk add will use and warn about health errors
+ * Servers that aren't answering are marked offline, so their scenes are held
+ * (see holdScene) instead of the bulk add being dropped.
+ */
+async function checkBulkAddServers(scenes, overrides) {
+  const settings = await getSettings();
+  const servers = new Map();
+  for (const scene of scenes) {
+    const server = overrides?.serverId
+      ? getServerById(settings, overrides.serverId)
+      : resolveServerForScene(settings, scene);
+    if (server) {
+      servers.set(server.id, server);
     }
+  }
+  
+  const results = await Promise.all([...servers.values()].map(server => probeServerHealth(server, true)));
+  
+  // Auth and config failures aren't outages - those scenes fail with the error instead
+  const down = results.filter(health => !health.reachable && ['network', 'server'].includes(health.errorKind));
+  if (down.length > 0) {
+    down.forEach(health => offlineServerIds.add(health.serverId));
+    showNotification("Whisparr Unreachable", `Scenes held until the server is back - ${down.map(h => `${h.serverName}: ${h.error}`).join("; ")}`);
+  }
+  
+  const errors = results.flatMap(health => health.warnings
+    .filter(warning => warning.type === 'error')
+    .map(warning => `${health.serverName}: ${warning.message}`));
+  if (errors.length > 0) {
+    showNotification("Whisparr Health Warning", errors.join("\n"));
+  }
+}
+
+// ============================================
+// Held Scenes (Offline Queue)
+// ============================================
+
+const HELD_QUEUE_ALARM = "held-queue-probe";
+const HELD_QUEUE_PROBE_MINUTES = 1;
+
+// Gateway errors usually mean a proxy is up but Whisparr behind it is not
+const GATEWAY_STATUSES = [502, 503, 504];
+
+// Servers that failed a connectivity check since the background page started
+const offlineServerIds = new Set();
+
+// Whether an error means the server couldn't be reached at all
+function isConnectivityError(error) {
+  return getErrorKind(error) === 'network' || GATEWAY_STATUSES.includes(error?.status);
+}
+
+/**
+ * Park a scene until its server answers again
+ * The first scene held for a server announces the pause
+ */
+function holdScene(batchId, stashId, server, error, title = null) {
+  updateSceneStatus(batchId, stashId, {
+    status: 'held',
+    title,
+    serverId: server.id,
+    serverName: server.name,
+    error: error?.message || `${server.name} is unreachable`,
+    errorKind: error ? getErrorKind(error) : 'network'
   });
+  
+  if (!offlineServerIds.has(server.id)) {
+    offlineServerIds.add(server.id);
+    showNotification("Whisparr Unreachable", `${server.name} is not answering - scenes are held and will be added once it is back`);
+  }
+  
+  ensureHeldQueueAlarm();
+}
+
+// Start probing for held scenes if it isn't running already
+async function ensureHeldQueueAlarm() {
+  const existing = await browser.alarms.get(HELD_QUEUE_ALARM);
+  if (!existing) {
+    browser.alarms.create(HELD_QUEUE_ALARM, { periodInMinutes: HELD_QUEUE_PROBE_MINUTES });
+  }
+}
+
+/**
+ * Re-probe servers with held scenes and queue those scenes again once a server answers
+ * Stops the probe alarm when nothing is held
+ */
+async function drainHeldScenes() {
+  const heldByServer = new Map();
+  for (const batch of batchesCache) {
+    for (const scene of batch.scenes) {
+      if (scene.status !== 'held') continue;
+      if (!heldByServer.has(scene.serverId)) {
+        heldByServer.set(scene.serverId, []);
+      }
+      heldByServer.get(scene.serverId).push({ batchId: batch.id, stashId: scene.stashId });
+    }
+  }
+  
+  if (heldByServer.size === 0) {
+    await browser.alarms.clear(HELD_QUEUE_ALARM);
+    return;
+  }
+  
+  const settings = await getSettings();
+  for (const [serverId, held] of heldByServer) {
+    const server = getServerById(settings, serverId);
+    if (!server) continue;
+    
+    const health = await probeServerHealth(server, true);
+    if (!health.reachable) {
+      offlineServerIds.add(server.id);
+      console.log("[StashDB-Whisparr]", server.name, "still unreachable,", held.length, "scenes held");
+      continue;
+    }
+    
+    offlineServerIds.delete(server.id);
+    console.log("[StashDB-Whisparr]", server.name, "is back, resuming", held.length, "held scenes");
+    showNotification("Whisparr Back Online", `${server.name} is answering again - resuming ${held.length} held scenes`);
+    
+    for (const { batchId, stashId } of held) {
+      updateSceneStatus(batchId, stashId, { status: 'waiting', error: null });
+    }
+    Promise.all(held.map(({ batchId, stashId }) => workQueue.push(() => retryScene(batchId, stashId))))
+      .catch(error => console.error("[StashDB-Whisparr] Failed to resume held scenes:", error));
+  }
+}
+
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== HELD_QUEUE_ALARM) return;
+  
+  await batchesLoaded;
+  await drainHeldScenes();
+});
+
+// ============================================
+// Whisparr Tag Assignment
+// ============================================
+
+// Per-server cache of Whisparr tags: serverId -> Promise<Map(label -> id)>
+// Dropped when an add rejects the tags, so tags deleted or renamed in Whisparr are reloaded
+const whisparrTagCache = new Map();
+
+/**
+ * Normalize a tag label the way Whisparr stores it (lowercase letters, digits and dashes)
+ */
+function normalizeTagLabel(label) {
+  return (label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Get the tag labels a scene should receive from the tag rules and batch tag
+ * @param {Array} tagRules - Tag rules from settings
+ * @param {Object} sceneData - Scene data (scraped metadata or Whisparr lookup)
+ * @param {string|null} batchTag - Optional tag applied to the whole batch
+ * @returns {Array<string>} Unique normalized labels
+ */
+function getTagLabelsForScene(tagRules, sceneData, batchTag) {
+  const metadata = normalizeSceneMetadata(sceneData || {});
+  const labels = new Set();
+  
+  for (const rule of tagRules) {
+    if (ruleMatchesScene(rule, metadata)) {
+      const label = normalizeTagLabel(rule.tag);
+      if (label) {
+        labels.add(label);
+      }
+    }
+  }
+  
+  const batchLabel = normalizeTagLabel(batchTag);
+  if (batchLabel) {
+    labels.add(batchLabel);
+  }
+  
+  return Array.from(labels);
+}
+
+// Load (and cache) the tags that exist on a server
+function getWhisparrTags(client) {
+  const { server } = client;
+  if (!whisparrTagCache.has(server.id)) {
+    const request = client.request("listTags", {}, "Tag lookup failed").then(tags => {
+      return new Map(tags.map(tag => [tag.label.toLowerCase(), tag.id]));
+    });
+    
+    // Don't cache failures
+    request.catch(() => whisparrTagCache.delete(server.id));
+    whisparrTagCache.set(server.id, request);
+  }
+  
+  return whisparrTagCache.get(server.id);
+}
 
-  if (!lookupResponse.ok) {
-    const errorText = await lookupResponse.text();
-    console.error("[StashDB-Whisparr] Lookup failed:", lookupResponse.status, errorText);
-    throw new Error(`Lookup failed: ${lookupResponse.status} - ${errorText}`);
+/**
+ * Resolve tag labels to Whisparr tag IDs, creating any tags that don't exist yet
+ * @param {Object} client - Whisparr client for the server
+ * @param {Array<string>} labels - Normalized tag labels
+ * @returns {Promise<Array<number>>} Tag IDs
+ */
+async function resolveWhisparrTagIds(client, labels) {
+  if (labels.length === 0) {
+    return [];
+  }
+  
+  const tags = await getWhisparrTags(client);
+  const ids = [];
+  
+  for (const label of labels) {
+    if (!tags.has(label)) {
+      // Store the pending create so concurrent adds share it
+      tags.set(label, createWhisparrTag(client, label).catch(error => {
+        tags.delete(label);
+        throw error;
+      }));
+    }
+    ids.push(await tags.get(label));
   }
+  
+  return ids;
+}
+
+// Create a tag on the server and return its ID
+async function createWhisparrTag(client, label) {
+  console.log("[StashDB-Whisparr] Creating Whisparr tag:", label);
+  
+  const tag = await client.request("createTag", { body: { label } }, "Tag create failed");
+  return tag.id;
+}
+
+/**
+ * Merge a server profile's add settings with per-add overrides
+ * @param {Object} server - Server profile
+ * @param {Object|null} overrides - Overrides from the override dialog
+ * @returns {Object} { qualityProfileId, rootFolderPath, monitored, monitor, searchForMovie, upgradeSearch }
+ */
+function getAddSettings(server, overrides) {
+  const addSettings = {
+    qualityProfileId: server.qualityProfileId,
+    rootFolderPath: server.rootFolderPath,
+    monitored: server.monitored,
+    monitor: "movieOnly",
+    searchForMovie: server.searchForMovie,
+    upgradeSearch: !!server.upgradeSearch
+  };
+  
+  if (overrides) {
+    for (const key of Object.keys(addSettings)) {
+      const value = overrides[key];
+      if (value === undefined || value === null || value === '') continue;
+      // A profile ID that didn't parse (e.g. the profile list failed to load) keeps the server default
+      if (typeof value === 'number' && !Number.isFinite(value)) continue;
+      addSettings[key] = value;
+    }
+  }
+  
+  return addSettings;
+}
+
+/**
+ * Add scene to Whisparr
+ * @param {string} stashId - StashDB scene ID
+ * @param {Object} server - Server profile to add to
+ * @param {Object|null} overrides - Per-add overrides from the override dialog
+ * @param {Object} tagging - { metadata, batchTag } used to pick Whisparr tags
+ */
+async function addSceneToWhisparr(stashId, server, overrides = null, tagging = {}) {
+  assertServerConfigured(server);
+
+  const client = createWhisparrClient(server);
+  const addSettings = getAddSettings(server, overrides);
+  
+  // Scenes already in the library index skip the lookup and add round-trips
+  await getLibraryIndex();
+  const indexed = findIndexedScene(stashId, server.id);
+  if (indexed) {
+    const result = await handleIndexedScene(client, stashId, addSettings, indexed);
+    if (result) {
+      return result;
+    }
+  }
+  
+  // Don't re-add a scene someone deliberately excluded in Whisparr
+  const exclusion = await checkExclusion(stashId, server);
+  if (exclusion) {
+    const error = new WhisparrError("Scene is on Whisparr's import exclusion list", "excluded");
+    error.sceneTitle = exclusion.title;
+    throw error;
+  }
+  
+  // First, lookup the scene from StashDB via Whisparr's lookup endpoint
+  const lookup = { query: { term: stashId } };
+  
+  console.log("[StashDB-Whisparr] Looking up scene:", client.url("lookupScene", lookup));
+  
+  await whisparrRateLimiter.acquire();
+  const lookupResults = await client.request("lookupScene", lookup, "Lookup failed");
+  console.log("[StashDB-Whisparr] Lookup results:", lookupResults);
+
+  if (!lookupResults || lookupResults.length === 0) {
+    throw new WhisparrError("Scene not found on StashDB", "not-found");
+  }
+
+  // Get the first result - the scene data is wrapped in the 'movie' property
+  const lookupResult = lookupResults[0];
+  const sceneData = lookupResult.movie || lookupResult;
+  
+  console.log("[StashDB-Whisparr] Scene data:", sceneData);
+  
+  // Note: Filtering now happens BEFORE this function is called (using scraped metadata)
+  // This avoids unnecessary Whisparr API calls for filtered scenes
+  
+  // Add required fields for the POST
+  sceneData.monitored = addSettings.monitored;
+  sceneData.qualityProfileId = parseInt(addSettings.qualityProfileId, 10);
+  sceneData.rootFolderPath = addSettings.rootFolderPath;
+  sceneData.addOptions = {
+    monitor: addSettings.monitor,
+    searchForMovie: addSettings.searchForMovie
+  };
+  
+  // Apply tag rules (scraped metadata when available, otherwise the lookup data)
+  const settings = await getSettings();
+  const tagLabels = getTagLabelsForScene(settings.tagRules, tagging.metadata || sceneData, tagging.batchTag);
+  const lookupTags = sceneData.tags || [];
+  const applyTags = async () => {
+    const tagIds = await resolveWhisparrTagIds(client, tagLabels);
+    sceneData.tags = Array.from(new Set([...lookupTags, ...tagIds]));
+    console.log("[StashDB-Whisparr] Applying tags:", tagLabels, sceneData.tags);
+  };
+  if (tagLabels.length > 0) {
+    await applyTags();
+  }
+
+  // Now add the scene
+  console.log("[StashDB-Whisparr] Adding scene:", client.url("addScene"), sceneData);
+
+  let result;
+  for (let attempt = 1; ; attempt++) {
+    await whisparrRateLimiter.acquire();
+    try {
+      result = await client.request("addScene", { body: sceneData }, "Add failed");
+      break;
+    } catch (error) {
+      // Only a validation failure saying the scene exists means it's already there
+      if (isExistingSceneError(error.validationErrors)) {
+        console.log("[StashDB-Whisparr] Scene already exists, checking for file...");
+        // Pass the lookup result which may contain the movie ID
+        return await handleExistingScene(client, stashId, addSettings, lookupResult);
+      }
+      
+      // A cached tag ID may be stale (deleted or renamed in Whisparr): reload the tags and try once more
+      if (attempt === 1 && tagLabels.length > 0 && isTagError(error)) {
+        console.warn("[StashDB-Whisparr] Add rejected the tags, reloading tag cache:", error.message);
+        whisparrTagCache.delete(server.id);
+        await applyTags();
+        continue;
+      }
+      
+      throw error;
+    }
+  }
+
+  console.log("[StashDB-Whisparr] Scene added:", result);
+  updateLibraryIndexEntry(stashId, server, result);
+  // Include title in result for batch tracking
+  result.title = sceneData.title;
+  return result;
+}
+
+/**
+ * Handle a scene found in the library index without a lookup (after checking it is still in Whisparr)
+ * @returns {Promise<Object|null>} Add result, or null if the index was stale and a normal add should run
+ */
+async function handleIndexedScene(client, stashId, addSettings, entry) {
+  console.log("[StashDB-Whisparr] Scene found in library index:", entry.title, "hasFile:", entry.hasFile);
+  
+  // The index may predate a delete in the Whisparr UI, so confirm the scene is still there
+  await whisparrRateLimiter.acquire();
+  const movieResponse = await client.send("getScene", { params: { id: entry.movieId } });
+  if (movieResponse.status === 404) {
+    console.warn("[StashDB-Whisparr] Indexed scene no longer in Whisparr, falling back to lookup:", stashId);
+    removeLibraryIndexEntry(stashId, client.server.id);
+    return null;
+  }
+  if (!movieResponse.ok) {
+    throw await createResponseError("Scene check failed", movieResponse);
+  }
+  const movie = await client.parse("getScene", movieResponse);
+  updateLibraryIndexEntry(stashId, client.server, movie);
+  entry = createLibraryIndexEntry(client.server, movie);
+  
+  if (entry.hasFile) {
+    if (addSettings.upgradeSearch && entry.cutoffNotMet) {
+      const command = await triggerMovieSearch(client, entry.movieId);
+      return { upgradeSearched: true, movie: { id: entry.movieId, title: entry.title }, title: entry.title, commandId: command?.id ?? null };
+    }
+    return { exists: true, title: entry.title };
+  }
+  
+  if (!addSettings.searchForMovie) {
+    const error = new Error("Scene already in Whisparr but no file downloaded");
+    error.sceneTitle = entry.title;
+    throw error;
+  }
+  
+  let command;
+  try {
+    command = await triggerMovieSearch(client, entry.movieId);
+  } catch (error) {
+    // The scene may have been removed since the index was built
+    console.warn("[StashDB-Whisparr] Indexed scene search failed, falling back to lookup:", error);
+    removeLibraryIndexEntry(stashId, client.server.id);
+    return null;
+  }
+  
+  return { searched: true, movie: { id: entry.movieId, title: entry.title }, title: entry.title, commandId: command?.id ?? null };
+}
+
+// Handle existing scene - check for file and optionally search
+async function handleExistingScene(client, stashId, addSettings, lookupResult) {
+  let existingMovie = null;
+  
+  // Try to get the movie directly by ID from lookup result (fastest)
+  if (lookupResult && lookupResult.movie && lookupResult.movie.id) {
+    const movieId = lookupResult.movie.id;
+    console.log("[StashDB-Whisparr] Fetching movie by ID:", movieId);
+    
+    const movieResponse = await client.send("getScene", { params: { id: movieId } });
+    if (movieResponse.ok) {
+      existingMovie = await client.parse("getScene", movieResponse);
+      console.log("[StashDB-Whisparr] Found movie by ID:", existingMovie.title);
+    }
+  }
+  
+  // Fallback: try querying by foreignId
+  if (!existingMovie) {
+    console.log("[StashDB-Whisparr] Trying to fetch by foreignId:", stashId);
+    
+    const movieResponse = await client.send("listScenes", { query: { foreignId: stashId } });
+    if (movieResponse.ok) {
+      const movies = await client.parse("listScenes", movieResponse);
+      if (Array.isArray(movies) && movies.length > 0) {
+        existingMovie = movies[0];
+        console.log("[StashDB-Whisparr] Found movie by foreignId:", existingMovie.title);
+      }
+    }
+  }
+
+  if (!existingMovie) {
+    throw new Error("Scene exists in Whisparr but could not be found");
+  }
+
+  console.log("[StashDB-Whisparr] hasFile:", existingMovie.hasFile);
+  updateLibraryIndexEntry(stashId, client.server, existingMovie);
+
+  // Check if the movie has a file (below its profile cutoff it can still be upgraded)
+  if (existingMovie.hasFile) {
+    if (addSettings.upgradeSearch && existingMovie.movieFile?.qualityCutoffNotMet) {
+      console.log("[StashDB-Whisparr] File below quality cutoff, triggering upgrade search...");
+      const command = await triggerMovieSearch(client, existingMovie.id);
+      return { upgradeSearched: true, movie: existingMovie, title: existingMovie.title, commandId: command?.id ?? null };
+    }
+    
+    const error = new Error("File already exists");
+    error.sceneTitle = existingMovie.title;
+    throw error;
+  }
+
+  // No file exists - trigger a search if enabled
+  if (addSettings.searchForMovie) {
+    console.log("[StashDB-Whisparr] No file found, triggering search...");
+    const command = await triggerMovieSearch(client, existingMovie.id);
+    return { searched: true, movie: existingMovie, title: existingMovie.title, commandId: command?.id ?? null };
+  }
+
+  const error = new Error("Scene already in Whisparr but no file downloaded");
+  error.sceneTitle = existingMovie.title;
+  throw error;
+}
+
+/**
+ * Fetch the quality profiles and root folders of a server (for the override dialog)
+ * @param {Object} server - Server profile
+ * @returns {Promise<Object>} { qualityProfiles, rootFolders }
+ */
+async function getServerAddOptions(server) {
+  assertServerConfigured(server);
+  
+  const client = createWhisparrClient(server);
+  const [qualityProfiles, rootFolders] = await Promise.all([
+    client.request("qualityProfiles", {}, "Quality profile fetch failed"),
+    client.request("rootFolders", {}, "Root folder fetch failed")
+  ]);
+  
+  return {
+    qualityProfiles: qualityProfiles.map(p => ({ id: p.id, name: p.name })),
+    rootFolders: rootFolders.map(f => ({ path: f.path, freeSpace: f.freeSpace }))
+  };
+}
+
+/**
+ * Test a server from the options page: detect its API version and capabilities, then read its add options
+ * @param {Object} server - Server profile as edited in the options page
+ * @returns {Promise<Object>} { qualityProfiles, rootFolders, capabilities, missingCapabilities }
+ */
+async function testServerConnection(server) {
+  assertServerConfigured(server);
+  
+  // Probe first so the add options are read with the detected API profile
+  const capabilities = await probeWhisparrApi(server);
+  const options = await getServerAddOptions(server);
+  return { ...options, capabilities, missingCapabilities: getMissingCapabilityLabels(capabilities) };
+}
+
+// Trigger a search for a specific movie
+async function triggerMovieSearch(client, movieId) {
+  await whisparrRateLimiter.acquire();
+  const result = await client.request("runCommand", {
+    body: {
+      name: client.field("sceneSearchCommand"),
+      [client.field("sceneIds")]: [movieId]
+    }
+  }, "Search command failed");
+
+  console.log("[StashDB-Whisparr] Search triggered:", result);
+  return result;
+}
+
+// ============================================
+// Performer and Studio Monitoring
+// ============================================
+
+// Whisparr resources that can be monitored for future scenes
+const MONITORED_ENTITY_TYPES = {
+  performer: { path: "performer", urlSection: "performers", capability: "performers", label: "Performer", nameField: "fullName" },
+  studio: { path: "studio", urlSection: "studios", capability: "studios", label: "Studio", nameField: "title" }
+};
+
+/**
+ * Add an entity to Whisparr as monitored, or turn monitoring on if it is already there
+ * @param {string} entityType - Key of MONITORED_ENTITY_TYPES
+ * @param {string} stashId - StashDB ID of the performer or studio
+ * @param {Object} server - Server profile
+ * @returns {Promise<Object>} { name, alreadyMonitored, added, entity }
+ */
+async function monitorWhisparrEntity(entityType, stashId, server) {
+  assertServerConfigured(server);
+  
+  const { path, capability, label, nameField } = MONITORED_ENTITY_TYPES[entityType];
+  const client = createWhisparrClient(server);
+  if (!client.supports(capability)) {
+    throw new WhisparrError(`This Whisparr server doesn't support ${label.toLowerCase()} monitoring`, "incompatible");
+  }
+  const params = { entity: path };
+  
+  // Already in Whisparr?
+  await whisparrRateLimiter.acquire();
+  const entities = await client.request("listEntities", { params }, `${label} list failed`);
+  const existing = entities.find(e => e.foreignId === stashId);
+  
+  if (existing) {
+    const name = existing[nameField];
+    if (existing.monitored) {
+      return { name, alreadyMonitored: true, added: false, entity: existing };
+    }
+    
+    // In Whisparr but unmonitored - switch monitoring on
+    await whisparrRateLimiter.acquire();
+    const updated = await client.request("updateEntity", {
+      params: { ...params, id: existing.id },
+      body: { ...existing, monitored: true }
+    }, `${label} update failed`);
+    return { name, alreadyMonitored: false, added: false, entity: updated };
+  }
+  
+  // Look it up from StashDB via Whisparr and add it with the server's add settings
+  await whisparrRateLimiter.acquire();
+  const results = await client.request("lookupEntity", { params, query: { term: stashId } }, `${label} lookup failed`);
+  const entity = (results || []).find(e => e.foreignId === stashId) || results?.[0];
+  if (!entity) {
+    throw new WhisparrError(`${label} not found on StashDB`, "not-found");
+  }
+  
+  const addSettings = getAddSettings(server, null);
+  entity.monitored = true;
+  entity.qualityProfileId = parseInt(addSettings.qualityProfileId, 10);
+  entity.rootFolderPath = addSettings.rootFolderPath;
+  entity.searchOnAdd = addSettings.searchForMovie;
+  
+  console.log(`[StashDB-Whisparr] Adding ${path}:`, entity);
+  
+  await whisparrRateLimiter.acquire();
+  const added = await client.request("addEntity", { params, body: entity }, `${label} add failed`);
+  return { name: added[nameField] || entity[nameField], alreadyMonitored: false, added: true, entity: added };
+}
+
+/**
+ * Monitor a performer or studio on the default server so Whisparr picks up future scenes
+ * The outcome is recorded in the popup history
+ * @param {string} entityType - Key of MONITORED_ENTITY_TYPES
+ * @param {string} stashId - StashDB ID from the page URL
+ */
+async function monitorEntity(entityType, stashId) {
+  const { label } = MONITORED_ENTITY_TYPES[entityType];
+  const settings = await getSettings();
+  const server = getServerById(settings, settings.defaultServerId);
+  const entry = createMonitorEntry(entityType, stashId, server);
+  
+  console.log(`[StashDB-Whisparr] Monitoring ${entityType}:`, stashId);
+  
+  let result;
+  try {
+    result = await monitorWhisparrEntity(entityType, stashId, server);
+  } catch (error) {
+    updateMonitorEntry(entry.id, { status: 'error', ...getSceneErrorFields(error) });
+    throw error;
+  }
+  
+  const name = result.name || label;
+  if (result.alreadyMonitored) {
+    updateMonitorEntry(entry.id, { status: 'already-monitored', name });
+    showNotification("Already Monitored", `${name} is already monitored in Whisparr`);
+  } else if (result.added) {
+    updateMonitorEntry(entry.id, { status: 'added', name });
+    showNotification(`${label} Added`, `${name} added to Whisparr and monitored`);
+  } else {
+    updateMonitorEntry(entry.id, { status: 'monitored', name });
+    showNotification(`${label} Monitored`, `${name} is now monitored in Whisparr`);
+  }
+  return result;
+}
+
+// Update a monitor history entry
+function updateMonitorEntry(entryId, updates) {
+  const entry = batchesCache.find(b => b.id === entryId);
+  if (entry) {
+    Object.assign(entry, updates);
+    saveBatches();
+  }
+}
+
+// ============================================
+// Search Command Tracking
+// ============================================
+
+const SEARCH_POLL_INTERVAL_MS = 5000;
+const SEARCH_POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Whisparr history event type for a grabbed release
+const HISTORY_EVENT_GRABBED = 1;
+
+// Scenes whose search command is being polled ("batchId:stashId")
+const trackedSearches = new Set();
+
+// Scene statuses with a search command to follow
+const SEARCH_TRACKED_STATUSES = ['searched', 'upgrade-searched'];
+
+// Upgrade searches record their outcome under their own statuses
+const UPGRADE_SEARCH_OUTCOMES = {
+  'search-grabbed': 'upgrade-grabbed',
+  'search-empty': 'upgrade-empty',
+  'search-failed': 'upgrade-failed',
+  'search-unknown': 'upgrade-unknown'
+};
+
+// Scene updates for a search outcome, given the status the search started from
+function getSearchOutcome(searchStatus, outcome) {
+  if (searchStatus !== 'upgrade-searched') {
+    return outcome;
+  }
+  const status = UPGRADE_SEARCH_OUTCOMES[outcome.status];
+  return status === 'upgrade-empty'
+    ? { ...outcome, status, error: 'Upgrade search found nothing better to grab' }
+    : { ...outcome, status };
+}
+
+/**
+ * Poll a scene's search command until it finishes and record what it found
+ * Ends in search-grabbed, search-empty or search-failed (upgrade-grabbed,
+ * upgrade-empty or upgrade-failed for upgrade searches). When Whisparr can't be asked, the
+ * outcome is recorded as search-unknown (upgrade-unknown) rather than as a failed search.
+ * An unload mid-poll leaves the scene 'searched' for resumeSearchTracking to pick up.
+ * @param {string} batchId - Batch ID
+ * @param {string} stashId - Scene ID
+ */
+async function trackSearchCommand(batchId, stashId) {
+  const key = `${batchId}:${stashId}`;
+  if (trackedSearches.has(key)) {
+    return;
+  }
+  
+  const batch = batchesCache.find(b => b.id === batchId);
+  const scene = batch?.scenes.find(s => s.stashId === stashId);
+  if (!scene || scene.searchCommandId == null || !scene.whisparrId || !SEARCH_TRACKED_STATUSES.includes(scene.status)) {
+    return;
+  }
+  
+  const searchStatus = scene.status;
+  trackedSearches.add(key);
+  try {
+    const settings = await getSettings();
+    const server = getServerById(settings, scene.serverId);
+    assertServerConfigured(server);
+    
+    const outcome = await waitForSearchCommand(createWhisparrClient(server), scene.searchCommandId, scene.whisparrId);
+    
+    // The scene may have been undone or retried while the search ran
+    if (scene.status !== searchStatus) {
+      return;
+    }
+    if (!outcome) {
+      console.warn("[StashDB-Whisparr] Search still running, giving up on tracking:", stashId);
+      updateSceneStatus(batchId, stashId, getSearchOutcome(searchStatus, { status: 'search-unknown', error: 'Search was still running when tracking stopped' }));
+      return;
+    }
+    updateSceneStatus(batchId, stashId, getSearchOutcome(searchStatus, outcome));
+  } catch (error) {
+    // Only Whisparr reporting the command as failed means the search failed
+    console.error("[StashDB-Whisparr] Search tracking failed for", stashId, error);
+    if (scene.status === searchStatus) {
+      updateSceneStatus(batchId, stashId, getSearchOutcome(searchStatus, {
+        status: 'search-unknown',
+        error: `Could not get the search result: ${error.message}`,
+        errorKind: getErrorKind(error)
+      }));
+    }
+  } finally {
+    trackedSearches.delete(key);
+  }
+}
+
+/**
+ * Poll a command until it completes
+ * @returns {Promise<Object|null>} Scene updates for the outcome, or null on timeout
+ */
+async function waitForSearchCommand(client, commandId, movieId) {
+  const deadline = Date.now() + SEARCH_POLL_TIMEOUT_MS;
+  
+  while (Date.now() < deadline) {
+    await whisparrRateLimiter.acquire();
+    const command = await withRetry(() =>
+      client.request("getCommand", { params: { id: commandId } }, "Command status failed")
+    );
+    
+    if (command.status === 'completed') {
+      const grabbed = await countSearchGrabs(client, movieId, command.queued || command.started);
+      return grabbed > 0
+        ? { status: 'search-grabbed', error: null, searchGrabs: grabbed }
+        : { status: 'search-empty', error: 'Search completed but found nothing to grab', searchGrabs: 0 };
+    }
+    
+    if (['failed', 'aborted', 'cancelled', 'orphaned'].includes(command.status)) {
+      return { status: 'search-failed', error: command.exception || command.message || `Search ${command.status}`, errorKind: 'server' };
+    }
+    
+    await sleep(SEARCH_POLL_INTERVAL_MS);
+  }
+  
+  return null;
+}
+
+// Count releases grabbed for a movie since the search was queued
+async function countSearchGrabs(client, movieId, since) {
+  await whisparrRateLimiter.acquire();
+  const history = await withRetry(() => client.request("sceneHistory", {
+    query: { [client.field("sceneId")]: movieId, eventType: HISTORY_EVENT_GRABBED }
+  }, "History lookup failed"));
+  const sinceTime = since ? new Date(since).getTime() : 0;
+  return history.filter(record => new Date(record.date).getTime() >= sinceTime).length;
+}
+
+// Pick up search tracking that a previous background page left unfinished
+function resumeSearchTracking() {
+  for (const batch of batchesCache) {
+    for (const scene of batch.scenes) {
+      if (SEARCH_TRACKED_STATUSES.includes(scene.status) && scene.searchCommandId != null) {
+        trackSearchCommand(batch.id, scene.stashId);
+      }
+    }
+  }
+}
+
+// ============================================
+// Download and Import Tracking
+// ============================================
+
+const DOWNLOAD_TRACKING_ALARM = "download-tracking-poll";
+const DOWNLOAD_TRACKING_MINUTES = 1;
+
+// Stop following scenes from batches older than this
+const DOWNLOAD_TRACKING_MAX_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Scene statuses that may still move on to grabbed, downloading or imported
+// ('searched' belongs to the search tracker until it settles on search-grabbed or search-empty;
+// a search-unknown scene may still have grabbed something)
+const DOWNLOAD_TRACKED_STATUSES = ['added', 'search-grabbed', 'search-unknown', 'grabbed', 'downloading'];
+
+// Per-scene lookups (scene plus history) a poll makes at most; scenes in the queue cost nothing
+const DOWNLOAD_POLL_MAX_LOOKUPS = 20;
+
+// When each scene was last looked up ("batchId:stashId" -> timestamp), so lookups take turns
+const downloadLookupTimes = new Map();
+
+// Set while a poll runs, so slow polls don't pile up behind the alarm
+let downloadPollRunning = false;
+
+// Queue states that mean the download finished but could not be imported
+const FAILED_QUEUE_STATES = ['importFailed', 'failedPending', 'failed'];
+
+// Start polling if it isn't running already (the alarm survives background unloads)
+async function ensureDownloadTrackingAlarm() {
+  const existing = await browser.alarms.get(DOWNLOAD_TRACKING_ALARM);
+  if (!existing) {
+    browser.alarms.create(DOWNLOAD_TRACKING_ALARM, { periodInMinutes: DOWNLOAD_TRACKING_MINUTES });
+  }
+}
+
+// Scenes with a Whisparr ID whose download hasn't finished yet
+function getDownloadTrackedScenes() {
+  const cutoff = Date.now() - DOWNLOAD_TRACKING_MAX_AGE_MS;
+  const tracked = [];
+  
+  for (const batch of batchesCache) {
+    if (batch.timestamp < cutoff) continue;
+    for (const scene of batch.scenes) {
+      if (DOWNLOAD_TRACKED_STATUSES.includes(scene.status) && scene.whisparrId) {
+        tracked.push({ batch, scene });
+      }
+    }
+  }
+  
+  return tracked;
+}
+
+/**
+ * Check Whisparr's queue and history for every tracked scene and update their statuses
+ * Stops the polling alarm once nothing is left to follow
+ */
+async function pollDownloadProgress() {
+  if (downloadPollRunning) {
+    console.log("[StashDB-Whisparr] Download tracking still running, skipping this poll");
+    return;
+  }
+  
+  const tracked = getDownloadTrackedScenes();
+  if (tracked.length === 0) {
+    await browser.alarms.clear(DOWNLOAD_TRACKING_ALARM);
+    return;
+  }
+  
+  downloadPollRunning = true;
+  try {
+    await pollTrackedDownloads(tracked);
+  } finally {
+    downloadPollRunning = false;
+  }
+}
+
+async function pollTrackedDownloads(tracked) {
+  // Forget lookup times of scenes that are no longer tracked
+  const trackedKeys = new Set(tracked.map(({ batch, scene }) => `${batch.id}:${scene.stashId}`));
+  for (const key of downloadLookupTimes.keys()) {
+    if (!trackedKeys.has(key)) downloadLookupTimes.delete(key);
+  }
+  
+  // Group scenes by the server they were sent to
+  const settings = await getSettings();
+  const byServer = new Map();
+  for (const entry of tracked) {
+    const server = getServerById(settings, entry.scene.serverId);
+    if (!server?.whisparrUrl || !server.apiKey) continue;
+    if (!byServer.has(server.id)) {
+      byServer.set(server.id, { server, entries: [] });
+    }
+    byServer.get(server.id).entries.push(entry);
+  }
+  
+  const changedBatchIds = new Set();
+  const budget = { lookups: DOWNLOAD_POLL_MAX_LOOKUPS };
+  for (const { server, entries } of byServer.values()) {
+    try {
+      await pollServerDownloads(server, entries, changedBatchIds, budget);
+    } catch (error) {
+      console.warn("[StashDB-Whisparr] Download tracking failed for", server.name, error);
+    }
+  }
+  
+  await notifyImportedBatches(changedBatchIds);
+}
+
+// Update the tracked scenes of one server from its queue, falling back to the movie and history
+// (for at most budget.lookups scenes, least recently checked first)
+async function pollServerDownloads(server, entries, changedBatchIds, budget) {
+  const client = createWhisparrClient(server);
+  const sceneIdField = client.field("sceneId");
+  
+  // Without a queue endpoint scenes are only followed until their file shows up
+  let queue = [];
+  if (client.supports("queue")) {
+    await whisparrRateLimiter.acquire();
+    queue = await client.request("queueDetails", { query: { includeMovie: false } }, "Queue fetch failed");
+  }
+  
+  const queueByMovie = new Map();
+  for (const item of queue) {
+    if (!queueByMovie.has(item[sceneIdField])) {
+      queueByMovie.set(item[sceneIdField], item);
+    }
+  }
+  
+  const lastLookup = ({ batch, scene }) => downloadLookupTimes.get(`${batch.id}:${scene.stashId}`) || 0;
+  const queued = entries.filter(({ scene }) => queueByMovie.has(scene.whisparrId));
+  const lookups = entries
+    .filter(({ scene }) => !queueByMovie.has(scene.whisparrId))
+    .sort((a, b) => lastLookup(a) - lastLookup(b))
+    .slice(0, Math.max(budget.lookups, 0));
+  budget.lookups -= lookups.length;
+  
+  for (const { batch, scene } of [...queued, ...lookups]) {
+    const item = queueByMovie.get(scene.whisparrId);
+    let updates;
+    if (item) {
+      updates = getQueueItemUpdates(item);
+    } else {
+      downloadLookupTimes.set(`${batch.id}:${scene.stashId}`, Date.now());
+      updates = await getFinishedDownloadUpdates(client, scene);
+    }
+    
+    if (updates && (updates.status !== scene.status || updates.downloadProgress !== scene.downloadProgress)) {
+      updateSceneStatus(batch.id, scene.stashId, updates);
+      changedBatchIds.add(batch.id);
+    }
+  }
+}
+
+// Map a Whisparr queue item to scene updates
+function getQueueItemUpdates(item) {
+  if (FAILED_QUEUE_STATES.includes(item.trackedDownloadState) || item.trackedDownloadStatus === 'error') {
+    const messages = (item.statusMessages || []).flatMap(m => m.messages || []);
+    return {
+      status: 'import-failed',
+      error: messages.join('; ') || item.errorMessage || 'Import failed',
+      downloadProgress: null
+    };
+  }
+  
+  const progress = item.size > 0 ? Math.round(((item.size - item.sizeleft) / item.size) * 100) : 0;
+  if (progress === 0 && item.trackedDownloadState !== 'importPending' && item.trackedDownloadState !== 'importing') {
+    return { status: 'grabbed', error: null, downloadProgress: 0 };
+  }
+  
+  return { status: 'downloading', error: null, downloadProgress: progress };
+}
+
+// For a scene not in the queue: imported if it has a file, failed if its last download failed
+async function getFinishedDownloadUpdates(client, scene) {
+  await whisparrRateLimiter.acquire();
+  const movieResponse = await client.send("getScene", { params: { id: scene.whisparrId } });
+  if (!movieResponse.ok) {
+    // Removed from Whisparr outside the extension - nothing more to follow
+    return movieResponse.status === 404 ? { status: 'removed', error: 'No longer in Whisparr', whisparrId: null } : null;
+  }
+  
+  const movie = await client.parse("getScene", movieResponse);
+  if (movie.hasFile) {
+    updateLibraryIndexEntry(scene.stashId, client.server, movie);
+    return { status: 'imported', error: null, downloadProgress: 100 };
+  }
+  
+  // Only a scene we saw downloading can have failed; the rest are still waiting for a grab
+  if (scene.status !== 'grabbed' && scene.status !== 'downloading') {
+    return null;
+  }
+  
+  await whisparrRateLimiter.acquire();
+  const historyResponse = await client.send("sceneHistory", { query: { [client.field("sceneId")]: scene.whisparrId } });
+  if (!historyResponse.ok) {
+    return null;
+  }
+  
+  const history = await client.parse("sceneHistory", historyResponse);
+  const latest = history.sort((a, b) => new Date(b.date) - new Date(a.date))[0];
+  if (latest?.eventType === 'downloadFailed') {
+    return { status: 'import-failed', error: latest.data?.message || 'Download failed', downloadProgress: null };
+  }
+  
+  return null;
+}
+
+// Mark batches whose added scenes are all imported, notifying if the user asked for it
+async function notifyImportedBatches(batchIds) {
+  if (batchIds.size === 0) {
+    return;
+  }
+  
+  const { notifyBatchImported } = await browser.storage.sync.get({ notifyBatchImported: false });
+  
+  for (const batchId of batchIds) {
+    const batch = batchesCache.find(b => b.id === batchId);
+    if (!batch || batch.importNotified) continue;
+    
+    const downloads = batch.scenes.filter(s => [...DOWNLOAD_TRACKED_STATUSES, 'searched', 'imported', 'import-failed'].includes(s.status));
+    if (downloads.length === 0 || !downloads.every(s => s.status === 'imported')) continue;
+    
+    batch.importNotified = true;
+    saveBatches();
+    
+    if (notifyBatchImported) {
+      showNotification("Imported", downloads.length === 1
+        ? `${downloads[0].title || 'Scene'} imported`
+        : `All ${downloads.length} scenes in the batch imported`);
+    }
+  }
+}
+
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== DOWNLOAD_TRACKING_ALARM) return;
+  
+  // The alarm can wake the background page before batches are loaded
+  await batchesLoaded;
+  await pollDownloadProgress();
+});
+
+// ============================================
+// Whisparr Library Index
+// ============================================
+
+// How long a built library index stays fresh, or a partial one while a server's library failed to load
+const LIBRARY_INDEX_TTL_MS = 5 * 60 * 1000;
+const LIBRARY_INDEX_RETRY_MS = 30 * 1000;
+
+// Alarm that rebuilds the index in the background
+const LIBRARY_INDEX_ALARM = "library-index-refresh";
+const LIBRARY_INDEX_REFRESH_MINUTES = 15;
+
+// Cached library index: { entries: Map(foreignId -> Array<entry>), exclusions: Map(foreignId -> Array<exclusion>),
+// failedServerIds: Set of servers whose library couldn't be fetched,
+// exclusionFailedServerIds: Set of servers whose exclusion list couldn't be fetched, builtAt }
+let libraryIndex = null;
 
-  const lookupResults = await lookupResponse.json();
-  console.log("[StashDB-Whisparr] Lookup results:", lookupResults);
+// In-flight index build, shared by concurrent callers
+let libraryIndexBuild = null;
 
-  if (!lookupResults || lookupResults.length === 0) {
-    throw new Error("Scene not found on StashDB");
-  }
+// In-flight exclusion list fetches for servers the index couldn't load them for: serverId -> Promise
+const exclusionReloads = new Map();
 
-  // Get the first result - the scene data is in the 'movie' property
-  const lookupResult = lookupResults[0];
-  const sceneData = lookupResult.movie || lookupResult;
+/**
+ * Fetch every scene in a server's library
+ * @param {Object} server - Server profile
+ * @returns {Promise<Array>} Whisparr movie resources
+ */
+async function fetchServerLibrary(server) {
+  assertServerConfigured(server);
   
-  console.log("[StashDB-Whisparr] Scene data:", sceneData);
+  return createWhisparrClient(server).request("listScenes", {}, "Library fetch failed");
+}
+
+/**
+ * Fetch a server's import exclusion list
+ * @param {Object} server - Server profile
+ * @returns {Promise<Array>} Whisparr exclusion resources
+ */
+async function fetchServerExclusions(server) {
+  assertServerConfigured(server);
   
-  // Note: Filtering now happens BEFORE this function is called (using scraped metadata)
-  // This avoids unnecessary Whisparr API calls for filtered scenes
+  const client = createWhisparrClient(server);
+  if (!client.supports("exclusions")) {
+    return [];
+  }
   
-  // Add required fields for the POST
-  sceneData.monitored = settings.monitored;
-  sceneData.qualityProfileId = parseInt(settings.qualityProfileId, 10);
-  sceneData.rootFolderPath = settings.rootFolderPath;
-  sceneData.addOptions = {
-    monitor: "movieOnly",
-    searchForMovie: settings.searchForMovie
-  };
-
-  // Now add the scene
-  const addEndpoint = `${baseUrl}/api/v3/movie`;
-  console.log("[StashDB-Whisparr] Adding scene:", addEndpoint, sceneData);
-
-  const response = await fetch(addEndpoint, {
-    method: "POST",
-    headers: {
-      "X-Api-Key": settings.apiKey,
-      "Content-Type": "application/json",
-      "X-Requested-With": "XMLHttpRequest"
-    },
-    body: JSON.stringify(sceneData)
-  });
+  return client.request("listExclusions", {}, "Exclusion fetch failed");
+}
 
-  if (!response.ok) {
-    // Check if it's a 400 error (scene already exists)
-    if (response.status === 400) {
-      console.log("[StashDB-Whisparr] Scene already exists, checking for file...");
-      // Pass the lookup result which may contain the movie ID
-      return await handleExistingScene(baseUrl, settings.apiKey, stashId, settings.searchForMovie, lookupResult);
-    }
+// Fetch a server's exclusion list into the index's exclusions map
+async function indexServerExclusions(server, exclusions) {
+  const excluded = await fetchServerExclusions(server);
+  const titleField = createWhisparrClient(server).field("exclusionTitle");
+  for (const exclusion of excluded) {
+    if (!exclusion.foreignId) continue;
     
-    const errorText = await response.text();
-    console.error("[StashDB-Whisparr] Add failed:", response.status, errorText);
-    throw new Error(`Add failed: ${response.status} - ${errorText}`);
+    if (!exclusions.has(exclusion.foreignId)) {
+      exclusions.set(exclusion.foreignId, []);
+    }
+    exclusions.get(exclusion.foreignId).push({ exclusionId: exclusion.id, serverId: server.id, title: exclusion[titleField] || null });
   }
+}
 
-  const result = await response.json();
-  console.log("[StashDB-Whisparr] Scene added:", result);
-  // Include title in result for batch tracking
-  result.title = sceneData.title;
-  return result;
+// Convert a Whisparr movie resource into an index entry
+function createLibraryIndexEntry(server, movie) {
+  return {
+    movieId: movie.id,
+    serverId: server.id,
+    serverName: server.name,
+    title: movie.title,
+    hasFile: !!movie.hasFile,
+    cutoffNotMet: !!movie.movieFile?.qualityCutoffNotMet
+  };
 }
 
-// Handle existing scene - check for file and optionally search
-async function handleExistingScene(baseUrl, apiKey, stashId, searchForMovie, lookupResult) {
-  let existingMovie = null;
+/**
+ * Build the library index from every configured server, keyed by foreignId (StashDB ID)
+ */
+async function buildLibraryIndex() {
+  const settings = await getSettings();
+  const entries = new Map();
+  const exclusions = new Map();
+  const failedServerIds = new Set();
+  const exclusionFailedServerIds = new Set();
   
-  // Try to get the movie directly by ID from lookup result (fastest)
-  if (lookupResult && lookupResult.movie && lookupResult.movie.id) {
-    const movieId = lookupResult.movie.id;
-    console.log("[StashDB-Whisparr] Fetching movie by ID:", movieId);
-    
-    const movieResponse = await fetch(`${baseUrl}/api/v3/movie/${movieId}`, {
-      method: "GET",
-      headers: {
-        "X-Api-Key": apiKey,
-        "X-Requested-With": "XMLHttpRequest"
+  await Promise.all(settings.servers.map(async server => {
+    try {
+      const movies = await fetchServerLibrary(server);
+      for (const movie of movies) {
+        if (!movie.foreignId) continue;
+        
+        if (!entries.has(movie.foreignId)) {
+          entries.set(movie.foreignId, []);
+        }
+        entries.get(movie.foreignId).push(createLibraryIndexEntry(server, movie));
       }
-    });
+      console.log("[StashDB-Whisparr] Indexed", movies.length, "scenes from", server.name);
+    } catch (error) {
+      console.error("[StashDB-Whisparr] Could not index library for", server.name, error);
+      failedServerIds.add(server.id);
+    }
     
-    if (movieResponse.ok) {
-      existingMovie = await movieResponse.json();
-      console.log("[StashDB-Whisparr] Found movie by ID:", existingMovie.title);
+    try {
+      await indexServerExclusions(server, exclusions);
+    } catch (error) {
+      console.error("[StashDB-Whisparr] Could not load exclusions for", server.name, error);
+      exclusionFailedServerIds.add(server.id);
     }
+  }));
+  
+  libraryIndex = { entries, exclusions, failedServerIds, exclusionFailedServerIds, builtAt: Date.now() };
+  return libraryIndex;
+}
+
+/**
+ * Get the library index, rebuilding it if it is missing or stale
+ * @param {boolean} force - Rebuild even if the cached index is fresh
+ */
+async function getLibraryIndex(force = false) {
+  const incomplete = libraryIndex?.failedServerIds.size > 0 || libraryIndex?.exclusionFailedServerIds.size > 0;
+  const ttl = incomplete ? LIBRARY_INDEX_RETRY_MS : LIBRARY_INDEX_TTL_MS;
+  const isFresh = libraryIndex && Date.now() - libraryIndex.builtAt < ttl;
+  if (isFresh && !force) {
+    return libraryIndex;
   }
   
-  // Fallback: try querying by foreignId
-  if (!existingMovie) {
-    console.log("[StashDB-Whisparr] Trying to fetch by foreignId:", stashId);
-    
-    const movieResponse = await fetch(`${baseUrl}/api/v3/movie?foreignId=${stashId}`, {
-      method: "GET",
-      headers: {
-        "X-Api-Key": apiKey,
-        "X-Requested-With": "XMLHttpRequest"
-      }
+  if (!libraryIndexBuild) {
+    libraryIndexBuild = buildLibraryIndex().finally(() => {
+      libraryIndexBuild = null;
     });
-    
-    if (movieResponse.ok) {
-      const movies = await movieResponse.json();
-      if (Array.isArray(movies) && movies.length > 0) {
-        existingMovie = movies[0];
-        console.log("[StashDB-Whisparr] Found movie by foreignId:", existingMovie.title);
-      }
-    }
   }
+  return libraryIndexBuild;
+}
 
-  if (!existingMovie) {
-    throw new Error("Scene exists in Whisparr but could not be found");
-  }
+/**
+ * Find a scene in the library index
+ * @param {string} stashId - StashDB scene ID
+ * @param {string|null} serverId - Only match this server (any server if null)
+ * @returns {Object|null} Index entry, preferring one that has a file
+ */
+function findIndexedScene(stashId, serverId = null) {
+  const entries = (libraryIndex?.entries.get(stashId) || [])
+    .filter(entry => !serverId || entry.serverId === serverId);
+  return entries.find(entry => entry.hasFile) || entries[0] || null;
+}
 
-  console.log("[StashDB-Whisparr] hasFile:", existingMovie.hasFile);
+/**
+ * Find a scene on a server's import exclusion list
+ * @returns {Object|null} { exclusionId, serverId, title }
+ */
+function findExclusion(stashId, serverId) {
+  return (libraryIndex?.exclusions.get(stashId) || []).find(exclusion => exclusion.serverId === serverId) || null;
+}
 
-  // Check if the movie has a file
-  if (existingMovie.hasFile) {
-    const error = new Error("File already exists");
-    error.sceneTitle = existingMovie.title;
-    throw error;
+/**
+ * Find a scene on a server's import exclusion list, fetching the list now if the index couldn't
+ * Throws when the list still can't be fetched, so an excluded scene is never added by mistake
+ * @returns {Promise<Object|null>} { exclusionId, serverId, title }
+ */
+async function checkExclusion(stashId, server) {
+  const index = libraryIndex;
+  if (index?.exclusionFailedServerIds.has(server.id)) {
+    // Concurrent adds share one fetch so the list isn't indexed twice
+    if (!exclusionReloads.has(server.id)) {
+      const reload = indexServerExclusions(server, index.exclusions)
+        .then(() => index.exclusionFailedServerIds.delete(server.id))
+        .finally(() => exclusionReloads.delete(server.id));
+      exclusionReloads.set(server.id, reload);
+    }
+    await exclusionReloads.get(server.id);
   }
+  return findExclusion(stashId, server.id);
+}
 
-  // No file exists - trigger a search if enabled
-  if (searchForMovie) {
-    console.log("[StashDB-Whisparr] No file found, triggering search...");
-    await triggerMovieSearch(baseUrl, apiKey, existingMovie.id);
-    return { searched: true, movie: existingMovie, title: existingMovie.title };
+/**
+ * Add or update a scene in the index after an add, search or file check
+ */
+function updateLibraryIndexEntry(stashId, server, movie) {
+  if (!libraryIndex || !movie?.id) return;
+  
+  const entries = (libraryIndex.entries.get(stashId) || []).filter(entry => entry.serverId !== server.id);
+  entries.push(createLibraryIndexEntry(server, movie));
+  libraryIndex.entries.set(stashId, entries);
+  broadcastLibraryState([stashId]);
+}
+
+// Forget a scene's exclusion after it was removed in Whisparr
+function removeExclusionEntry(stashId, serverId) {
+  if (!libraryIndex) return;
+  
+  const exclusions = (libraryIndex.exclusions.get(stashId) || []).filter(exclusion => exclusion.serverId !== serverId);
+  if (exclusions.length > 0) {
+    libraryIndex.exclusions.set(stashId, exclusions);
+  } else {
+    libraryIndex.exclusions.delete(stashId);
   }
+}
 
-  const error = new Error("Scene already in Whisparr but no file downloaded");
-  error.sceneTitle = existingMovie.title;
-  throw error;
+/**
+ * Remove a scene from the index after an undo
+ */
+function removeLibraryIndexEntry(stashId, serverId) {
+  if (!libraryIndex) return;
+  
+  const entries = (libraryIndex.entries.get(stashId) || []).filter(entry => entry.serverId !== serverId);
+  if (entries.length > 0) {
+    libraryIndex.entries.set(stashId, entries);
+  } else {
+    libraryIndex.entries.delete(stashId);
+  }
+  broadcastLibraryState([stashId]);
 }
 
-// Trigger a search for a specific movie
-async function triggerMovieSearch(baseUrl, apiKey, movieId) {
-  const commandEndpoint = `${baseUrl}/api/v3/command`;
-  
-  const response = await fetch(commandEndpoint, {
-    method: "POST",
-    headers: {
-      "X-Api-Key": apiKey,
-      "Content-Type": "application/json",
-      "X-Requested-With": "XMLHttpRequest"
-    },
-    body: JSON.stringify({
-      name: "MoviesSearch",
-      movieIds: [movieId]
-    })
-  });
+/**
+ * Look up the library state of a list of scenes
+ * @param {Array<string>} stashIds - StashDB scene IDs
+ * @returns {Object} stashId -> { state: 'has-file'|'missing'|'not-in-library'|'unknown', serverName }
+ *   'unknown' when the scene wasn't found but a server's library couldn't be fetched
+ */
+function getLibraryStateFromIndex(stashIds) {
+  const states = {};
+  const incomplete = libraryIndex?.failedServerIds.size > 0;
+  
+  for (const stashId of stashIds) {
+    const entry = findIndexedScene(stashId);
+    if (!entry) {
+      states[stashId] = { state: incomplete ? 'unknown' : 'not-in-library', serverName: null };
+    } else {
+      states[stashId] = { state: entry.hasFile ? 'has-file' : 'missing', serverName: entry.serverName };
+    }
+  }
+  
+  return states;
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("[StashDB-Whisparr] Search command failed:", response.status, errorText);
-    throw new Error(`Search command failed: ${response.status}`);
+// Build the index if needed, then look up the library state of a list of scenes
+// Fails when no server's library could be fetched, so callers can retry later
+async function getLibraryState(stashIds) {
+  const settings = await getSettings();
+  const index = await getLibraryIndex();
+  if (index.failedServerIds.size > 0 && index.failedServerIds.size >= settings.servers.length) {
+    throw new Error("Could not fetch the Whisparr library");
   }
+  return getLibraryStateFromIndex(stashIds);
+}
 
-  const result = await response.json();
-  console.log("[StashDB-Whisparr] Search triggered:", result);
-  return result;
+/**
+ * Push library state changes to open StashDB tabs so their badges update
+ * @param {Array<string>|null} stashIds - Changed scenes, or null after a full rebuild
+ */
+async function broadcastLibraryState(stashIds) {
+  const tabs = await browser.tabs.query({ url: "*://stashdb.org/*" }).catch(() => []);
+  const message = stashIds
+    ? { action: 'libraryStateUpdate', states: getLibraryStateFromIndex(stashIds) }
+    : { action: 'libraryStateUpdate', reset: true };
+  
+  for (const tab of tabs) {
+    browser.tabs.sendMessage(tab.id, message).catch(() => {
+      // Content script might not be loaded yet, ignore error
+    });
+  }
 }
 
+// Schedule periodic index rebuilds (keep an existing alarm so wake-ups don't reset it)
+browser.alarms.get(LIBRARY_INDEX_ALARM).then(alarm => {
+  if (!alarm) {
+    browser.alarms.create(LIBRARY_INDEX_ALARM, { periodInMinutes: LIBRARY_INDEX_REFRESH_MINUTES });
+  }
+});
+
+browser.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== LIBRARY_INDEX_ALARM) return;
+  
+  const settings = await getSettings();
+  if (settings.servers.length === 0) return;
+  
+  console.log("[StashDB-Whisparr] Scheduled library index refresh");
+  await getLibraryIndex(true);
+  broadcastLibraryState(null);
+});
+
 // Show browser notification (respects user preference)
 async function showNotification(title, message) {
   // Check if notifications are enabled
@@ -854,7 +2964,7 @@ async function showNotification(title, message) {
 }
 
 // ============================================
-// Message Handlers for Popup
+// Message Handlers for Popup and Content Script
 // ============================================
 
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -865,7 +2975,7 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   if (message.action === 'retryScene') {
-    retryScene(message.batchId, message.sceneId).then(() => {
+    workQueue.push(() => retryScene(message.batchId, message.sceneId)).then(() => {
       sendResponse({ success: true });
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
@@ -882,6 +2992,24 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.action === 'removeExclusionAndAdd') {
+    removeExclusionAndAdd(message.batchId, message.sceneId).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.action === 'resumeBatch') {
+    resumeBatch(message.batchId).then(() => {
+      sendResponse({ success: true });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
   if (message.action === 'clearBatches') {
     batchesCache = [];
     saveBatches();
@@ -900,7 +3028,7 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   if (message.action === 'undoScene') {
-    undoScene(message.batchId, message.sceneId).then(() => {
+    undoScene(message.batchId, message.sceneId, message.undoOptions).then(() => {
       sendResponse({ success: true });
     }).catch(error => {
       sendResponse({ success: false, error: error.message });
@@ -908,16 +3036,106 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
-  // Filter-related message handlers (new array-based system)
+  if (message.action === 'undoBatch') {
+    undoBatch(message.batchId, message.undoOptions).then(result => {
+      sendResponse({ success: true, ...result });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Server reachability, version and health warnings for the popup header
+  if (message.action === 'getServerHealth') {
+    getServersHealth(true).then(servers => {
+      sendResponse({ success: true, servers });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Library state for the content script's scene card badges
+  if (message.action === 'getLibraryState') {
+    getSettings().then(settings => {
+      if (settings.servers.length === 0) {
+        return {};
+      }
+      return getLibraryState(message.stashIds || []);
+    }).then(states => {
+      sendResponse({ success: true, states });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Override dialog handlers
+  if (message.action === 'getOverrideOptions') {
+    getSettings().then(settings => {
+      // Don't hand API keys to the dialog page
+      const servers = settings.servers.map(server => ({
+        id: server.id,
+        name: server.name,
+        qualityProfileId: server.qualityProfileId,
+        rootFolderPath: server.rootFolderPath,
+        monitored: server.monitored,
+        searchForMovie: server.searchForMovie,
+        upgradeSearch: !!server.upgradeSearch
+      }));
+      const defaultServer = getServerById(settings, settings.defaultServerId);
+      sendResponse({ success: true, servers, defaultServerId: defaultServer?.id || null });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Test connection from the options page, with the card's unsaved server profile
+  if (message.action === 'testServerConnection') {
+    testServerConnection(message.server).then(result => {
+      sendResponse({ success: true, ...result });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.action === 'testStashDBConnection') {
+    testStashDBConnection(message.stashdb).then(result => {
+      sendResponse({ success: true, ...result });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  if (message.action === 'getServerAddOptions') {
+    getSettings().then(settings => {
+      return getServerAddOptions(getServerById(settings, message.serverId));
+    }).then(options => {
+      sendResponse({ success: true, ...options });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
+  // Filter-related message handlers (filters and groups share IDs and are found anywhere in the tree)
   if (message.action === 'getFilters') {
     sendResponse({ filters: filtersCache });
     return true;
   }
   
-  if (message.action === 'addFilter') {
-    // Create and add a new filter
-    const newFilter = createNewFilter();
-    filtersCache.push(newFilter);
+  if (message.action === 'addFilter' || message.action === 'addFilterGroup') {
+    // Create a filter or group inside a group (the root group by default)
+    const parent = findFilterNode(message.parentId || filtersCache.id)?.node;
+    if (!parent || parent.type !== 'group') {
+      sendResponse({ success: false, error: 'Filter group not found' });
+      return true;
+    }
+    const newFilter = message.action === 'addFilterGroup' ? createFilterGroup() : createNewFilter();
+    parent.children.push(newFilter);
     saveFilters().then(() => {
       sendResponse({ success: true, filters: filtersCache, newFilter });
     }).catch(error => {
@@ -927,11 +3145,16 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   if (message.action === 'updateFilter') {
-    // Update a specific filter by ID
+    // Update a specific filter or group by ID
     const { filterId, updates } = message;
-    const filterIndex = filtersCache.findIndex(f => f.id === filterId);
-    if (filterIndex !== -1) {
-      filtersCache[filterIndex] = { ...filtersCache[filterIndex], ...updates };
+    const found = findFilterNode(filterId);
+    if (found) {
+      const updated = { ...found.node, ...updates, id: found.node.id };
+      if (found.parent) {
+        found.parent.children[found.index] = updated;
+      } else {
+        filtersCache = updated;
+      }
       saveFilters().then(() => {
         sendResponse({ success: true, filters: filtersCache });
       }).catch(error => {
@@ -944,9 +3167,11 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   if (message.action === 'deleteFilter') {
-    // Delete a filter by ID
-    const { filterId } = message;
-    filtersCache = filtersCache.filter(f => f.id !== filterId);
+    // Delete a filter or group (with everything in it) by ID; the root group stays
+    const found = findFilterNode(message.filterId);
+    if (found?.parent) {
+      found.parent.children.splice(found.index, 1);
+    }
     saveFilters().then(() => {
       sendResponse({ success: true, filters: filtersCache });
     }).catch(error => {
@@ -956,9 +3181,8 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
   
   if (message.action === 'toggleFilter') {
-    // Toggle a filter's enabled state
-    const { filterId } = message;
-    const filter = filtersCache.find(f => f.id === filterId);
+    // Toggle a filter's or group's enabled state
+    const filter = findFilterNode(message.filterId)?.node;
     if (filter) {
       filter.enabled = !filter.enabled;
       saveFilters().then(() => {
@@ -972,9 +3196,28 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.action === 'testFilters') {
+    // Dry run for the popup's test bench: evaluate scenes against a filter tree
+    // (possibly with unsaved edits) without touching Whisparr
+    const filters = message.filters?.type === 'group' ? message.filters : filtersCache;
+    const scenes = message.scenes || [];
+    (message.enrich ? enrichSceneMetadata(scenes) : Promise.resolve(scenes)).then(evaluated => {
+      const results = evaluated.map(scene => ({
+        stashId: scene.stashId,
+        title: scene.title || '',
+        metadata: normalizeSceneMetadata(scene),
+        ...shouldAddScene(scene, filters)
+      }));
+      sendResponse({ success: true, results });
+    }).catch(error => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true;
+  }
+  
   if (message.action === 'resetFilters') {
-    // Clear all filters
-    filtersCache = [];
+    // Clear all filters and groups
+    filtersCache = createFilterGroup('and', FILTER_ROOT_ID);
     saveFilters().then(() => {
       sendResponse({ success: true, filters: filtersCache });
     }).catch(error => {
@@ -998,30 +3241,89 @@ async function retryScene(batchId, stashId) {
     throw new Error('Scene not found');
   }
   
+  // Retry against the server the scene was originally routed to, with the batch's overrides
+  const settings = await getSettings();
+  const server = getServerById(settings, scene.serverId);
+  const overrides = batch.overrides || null;
+  
   // Update status to adding
-  updateSceneStatus(batchId, stashId, { status: 'adding', error: null });
+  updateSceneStatus(batchId, stashId, {
+    status: 'adding',
+    ...getSceneErrorFields(),
+    serverId: server?.id || null,
+    serverName: server?.name || null,
+    attempts: 1
+  });
   
   try {
-    const result = await addSceneToWhisparr(stashId);
+    const result = await addSceneWithRetry(batchId, stashId, server, overrides, { metadata: scene.metadata, batchTag: batch.batchTag || null }, { queued: true });
     const title = result?.title || result?.movie?.title || scene.title;
     
-    if (result && result.searched) {
-      updateSceneStatus(batchId, stashId, { status: 'searched', title, error: null });
+    if (result && result.upgradeSearched) {
+      updateSceneStatus(batchId, stashId, { status: 'upgrade-searched', title, ...getSceneErrorFields(), whisparrId: result.movie?.id, searchCommandId: result.commandId });
+      trackSearchCommand(batchId, stashId);
+    } else if (result && result.searched) {
+      updateSceneStatus(batchId, stashId, { status: 'searched', title, ...getSceneErrorFields(), whisparrId: result.movie?.id, searchCommandId: result.commandId });
+      trackSearchCommand(batchId, stashId);
     } else if (result && result.exists) {
-      updateSceneStatus(batchId, stashId, { status: 'exists', title, error: null });
+      updateSceneStatus(batchId, stashId, { status: 'exists', title, ...getSceneErrorFields() });
     } else {
-      updateSceneStatus(batchId, stashId, { status: 'added', title, error: null });
+      updateSceneStatus(batchId, stashId, { status: 'added', title, ...getSceneErrorFields(), whisparrId: result?.id });
     }
   } catch (error) {
     console.error(`[StashDB-Whisparr] Retry failed for scene ${stashId}:`, error);
     if (error.message.includes("already exists") || error.message.includes("File already exists")) {
-      updateSceneStatus(batchId, stashId, { status: 'exists', title: error.sceneTitle || scene.title, error: null });
+      updateSceneStatus(batchId, stashId, { status: 'exists', title: error.sceneTitle || scene.title, ...getSceneErrorFields() });
+    } else if (getErrorKind(error) === 'excluded') {
+      updateSceneStatus(batchId, stashId, { status: 'excluded', title: error.sceneTitle || scene.title, error: error.message });
+    } else if (isConnectivityError(error) && server) {
+      holdScene(batchId, stashId, server, error, scene.title);
     } else {
-      updateSceneStatus(batchId, stashId, { status: 'error', error: error.message });
+      updateSceneStatus(batchId, stashId, { status: 'error', ...getSceneErrorFields(error) });
+    }
+  }
+}
+
+/**
+ * Delete a scene's import exclusion from its server, then add the scene again
+ * @param {string} batchId - Batch ID
+ * @param {string} stashId - Scene ID
+ */
+async function removeExclusionAndAdd(batchId, stashId) {
+  const batch = batchesCache.find(b => b.id === batchId);
+  const scene = batch?.scenes.find(s => s.stashId === stashId);
+  if (!scene) {
+    throw new Error('Scene not found');
+  }
+  if (scene.status !== 'excluded') {
+    throw new Error('Scene is not excluded');
+  }
+  
+  const settings = await getSettings();
+  const server = getServerById(settings, scene.serverId);
+  assertServerConfigured(server);
+  const client = createWhisparrClient(server);
+  
+  await getLibraryIndex();
+  const exclusion = await checkExclusion(stashId, server);
+  if (exclusion) {
+    console.log("[StashDB-Whisparr] Removing import exclusion:", exclusion.exclusionId);
+    
+    await whisparrRateLimiter.acquire();
+    const response = await client.send("deleteExclusion", { params: { id: exclusion.exclusionId } });
+    
+    if (!response.ok && response.status !== 404) {
+      throw await createResponseError("Exclusion removal failed", response);
     }
+    removeExclusionEntry(stashId, server.id);
   }
+  
+  await workQueue.push(() => retryScene(batchId, stashId));
 }
 
+// Scene statuses that "Retry all" adds again
+const RETRYABLE_STATUSES = ['error', 'search-failed', 'upgrade-failed'];
+
 // Retry all failed scenes across all batches
 async function retryAllFailed() {
   const failedScenes = [];
@@ -1029,20 +3331,24 @@ async function retryAllFailed() {
   // Collect all failed scenes
   for (const batch of batchesCache) {
     for (const scene of batch.scenes) {
-      if (scene.status === 'error') {
+      if (RETRYABLE_STATUSES.includes(scene.status)) {
         failedScenes.push({ batchId: batch.id, stashId: scene.stashId });
       }
     }
   }
   
-  // Retry each failed scene
-  for (const { batchId, stashId } of failedScenes) {
-    await retryScene(batchId, stashId);
-    // Small delay between retries
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
+  // Retry each failed scene through the work queue
+  await Promise.all(failedScenes.map(({ batchId, stashId }) => 
+    workQueue.push(() => retryScene(batchId, stashId))
+  ));
 }
 
+// Statuses of scenes that are in Whisparr because of this extension
+const UNDOABLE_STATUSES = [
+  'added', 'searched', 'search-grabbed', 'search-empty', 'search-failed', 'search-unknown',
+  'grabbed', 'downloading', 'imported', 'import-failed'
+];
+
 // Cancel an in-progress batch
 function cancelBatch(batchId) {
   const batch = batchesCache.find(b => b.id === batchId);
@@ -1051,18 +3357,32 @@ function cancelBatch(batchId) {
   }
   
   // Check if batch has any pending scenes
-  const hasPending = batch.scenes.some(s => s.status === 'waiting' || s.status === 'adding');
+  const hasPending = batch.scenes.some(s => ['waiting', 'adding', 'held'].includes(s.status));
   if (!hasPending) {
     throw new Error('No pending scenes to cancel');
   }
   
-  // Mark batch for cancellation - the processing loop will handle it
-  cancelledBatchIds.add(batchId);
-  console.log("[StashDB-Whisparr] Batch marked for cancellation:", batchId);
+  // Held scenes aren't in the work queue, so cancel them right away
+  for (const scene of batch.scenes.filter(s => s.status === 'held')) {
+    updateSceneStatus(batchId, scene.stashId, { status: 'cancelled', error: 'Cancelled by user' });
+  }
+  
+  // Mark batch for cancellation - the processing loop will handle it (and clear the mark).
+  // With only held scenes there is no loop to clear it, and a later retry would be cancelled.
+  if (batch.scenes.some(s => ['waiting', 'adding'].includes(s.status))) {
+    cancelledBatchIds.add(batchId);
+    console.log("[StashDB-Whisparr] Batch marked for cancellation:", batchId);
+  }
 }
 
-// Undo (delete from Whisparr) a single scene
-async function undoScene(batchId, stashId) {
+/**
+ * Remove a scene the extension added from Whisparr
+ * @param {string} batchId - Batch ID
+ * @param {string} stashId - Scene ID
+ * @param {Object} undoOptions - { deleteFiles, addImportExclusion }
+ * @param {boolean} notify - Show a notification for the result
+ */
+async function undoScene(batchId, stashId, undoOptions = {}, notify = true) {
   const batch = batchesCache.find(b => b.id === batchId);
   if (!batch) {
     throw new Error('Batch not found');
@@ -1074,34 +3394,73 @@ async function undoScene(batchId, stashId) {
   }
   
   // Only allow undo for added or searched scenes
-  if (!['added', 'searched'].includes(scene.status)) {
+  if (!UNDOABLE_STATUSES.includes(scene.status)) {
     throw new Error('Scene cannot be undone - not in added state');
   }
+  const previousStatus = scene.status;
   
   // Update status to removing
   updateSceneStatus(batchId, stashId, { status: 'removing', error: null });
   
   try {
-    await deleteSceneFromWhisparr(stashId, scene.whisparrId);
+    await deleteSceneFromWhisparr(stashId, scene.whisparrId, scene.serverId, undoOptions);
     updateSceneStatus(batchId, stashId, { status: 'removed', error: null, whisparrId: null });
-    showNotification("Removed", `Scene removed from Whisparr`);
+    if (notify) {
+      showNotification("Removed", `Scene removed from Whisparr`);
+    }
   } catch (error) {
     console.error(`[StashDB-Whisparr] Undo failed for scene ${stashId}:`, error);
     // Restore previous status on failure
-    updateSceneStatus(batchId, stashId, { status: scene.status === 'removing' ? 'added' : scene.status, error: error.message });
+    updateSceneStatus(batchId, stashId, { status: previousStatus, error: error.message });
     throw error;
   }
 }
 
-// Delete scene from Whisparr
-async function deleteSceneFromWhisparr(stashId, whisparrId) {
-  const settings = await getSettings();
+/**
+ * Undo every scene in a batch that the extension put in Whisparr, through the work queue
+ * @param {string} batchId - Batch ID
+ * @param {Object} undoOptions - { deleteFiles, addImportExclusion }
+ * @returns {Promise<Object>} { removed, failed }
+ */
+async function undoBatch(batchId, undoOptions = {}) {
+  const batch = batchesCache.find(b => b.id === batchId);
+  if (!batch) {
+    throw new Error('Batch not found');
+  }
   
-  if (!settings.whisparrUrl || !settings.apiKey) {
-    throw new Error("Please configure Whisparr settings in extension options");
+  const scenes = batch.scenes.filter(s => UNDOABLE_STATUSES.includes(s.status));
+  if (scenes.length === 0) {
+    throw new Error('No scenes in this batch can be undone');
   }
+  
+  let removed = 0;
+  let failed = 0;
+  
+  // Each scene records its own result; a failure doesn't stop the rest
+  await Promise.all(scenes.map(scene => workQueue.push(async () => {
+    try {
+      await undoScene(batchId, scene.stashId, undoOptions, false);
+      removed++;
+    } catch (error) {
+      failed++;
+    }
+  })));
+  
+  showNotification("Batch Undone", failed > 0
+    ? `${removed} scenes removed, ${failed} failed`
+    : `${removed} scenes removed from Whisparr`);
+  
+  return { removed, failed };
+}
+
+// Delete a scene from Whisparr (undoOptions: { deleteFiles, addImportExclusion })
+async function deleteSceneFromWhisparr(stashId, whisparrId, serverId, undoOptions = {}) {
+  const settings = await getSettings();
+  const server = getServerById(settings, serverId);
+  
+  assertServerConfigured(server);
 
-  const baseUrl = settings.whisparrUrl.replace(/\/$/, "");
+  const client = createWhisparrClient(server);
   
   // If we have a whisparrId, use it directly
   let movieId = whisparrId;
@@ -1110,19 +3469,8 @@ async function deleteSceneFromWhisparr(stashId, whisparrId) {
   if (!movieId) {
     console.log("[StashDB-Whisparr] Looking up movie by foreignId:", stashId);
     
-    const movieResponse = await fetch(`${baseUrl}/api/v3/movie?foreignId=${stashId}`, {
-      method: "GET",
-      headers: {
-        "X-Api-Key": settings.apiKey,
-        "X-Requested-With": "XMLHttpRequest"
-      }
-    });
-    
-    if (!movieResponse.ok) {
-      throw new Error(`Failed to lookup movie: ${movieResponse.status}`);
-    }
-    
-    const movies = await movieResponse.json();
+    await whisparrRateLimiter.acquire();
+    const movies = await client.request("listScenes", { query: { foreignId: stashId } }, "Failed to lookup movie");
     if (!Array.isArray(movies) || movies.length === 0) {
       throw new Error("Movie not found in Whisparr");
     }
@@ -1131,22 +3479,21 @@ async function deleteSceneFromWhisparr(stashId, whisparrId) {
   }
   
   // Delete the movie
-  console.log("[StashDB-Whisparr] Deleting movie:", movieId);
-  
-  const deleteResponse = await fetch(`${baseUrl}/api/v3/movie/${movieId}?deleteFiles=false&addImportExclusion=false`, {
-    method: "DELETE",
-    headers: {
-      "X-Api-Key": settings.apiKey,
-      "X-Requested-With": "XMLHttpRequest"
-    }
-  });
+  const deleteFiles = !!undoOptions.deleteFiles;
+  const addImportExclusion = !!undoOptions.addImportExclusion;
+  console.log("[StashDB-Whisparr] Deleting movie:", movieId, { deleteFiles, addImportExclusion });
   
-  if (!deleteResponse.ok) {
-    const errorText = await deleteResponse.text();
-    console.error("[StashDB-Whisparr] Delete failed:", deleteResponse.status, errorText);
-    throw new Error(`Delete failed: ${deleteResponse.status}`);
-  }
+  await whisparrRateLimiter.acquire();
+  await client.request("deleteScene", {
+    params: { id: movieId },
+    query: { deleteFiles, addImportExclusion }
+  }, "Delete failed");
   
   console.log("[StashDB-Whisparr] Movie deleted successfully");
+  removeLibraryIndexEntry(stashId, server.id);
+  if (addImportExclusion && libraryIndex) {
+    // Rebuild on next use so the new exclusion is picked up
+    libraryIndex.builtAt = 0;
+  }
   return { deleted: true };
 }
@@ -9,7 +9,8 @@ document.getElementById('sceneCount').textContent = sceneCount;
 document.getElementById('confirmBtn').addEventListener('click', () => {
   browser.runtime.sendMessage({
     action: 'confirmBulkAdd',
-    confirmed: true
+    confirmed: true,
+    batchTag: document.getElementById('batchTag').value.trim() || null
   });
 });
 
@@ -45,6 +45,19 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ metadata });
     return true;
   }
+  
+  if (message.action === "libraryStateUpdate") {
+    // The background's library index changed - update or rebuild the badges
+    if (message.reset) {
+      libraryStates.clear();
+    } else {
+      for (const [stashId, state] of Object.entries(message.states || {})) {
+        libraryStates.set(stashId, state);
+      }
+    }
+    refreshLibraryBadges();
+    return false;
+  }
 });
 
 /**
@@ -94,7 +107,9 @@ function extractMetadataFromClickedElement(element, targetStashId) {
     title: '',
     studio: '',
     performers: [],
-    tags: []
+    tags: [],
+    date: null,
+    duration: null
   };
   
   // Walk up from clicked element to find scene link
@@ -134,6 +149,8 @@ function extractMetadataFromClickedElement(element, targetStashId) {
       metadata.studio = extractStudio(container);
       metadata.performers = extractPerformers(container);
       metadata.tags = extractTags(container);
+      metadata.date = extractReleaseDate(container);
+      metadata.duration = extractDuration(container);
     }
     
     // If studio still not found, try broader search from the clicked element
@@ -312,7 +329,9 @@ function extractMetadataFromContainer(container, sceneLink, stashId) {
     title: '',
     studio: '',
     performers: [],
-    tags: []
+    tags: [],
+    date: null,
+    duration: null
   };
   
   // Extract title - usually the scene link text or a heading within
@@ -327,6 +346,10 @@ function extractMetadataFromContainer(container, sceneLink, stashId) {
   // Extract tags - look for links to /tags/ or badge-like elements
   metadata.tags = extractTags(container);
   
+  // Extract release date and duration - plain text on the card
+  metadata.date = extractReleaseDate(container);
+  metadata.duration = extractDuration(container);
+  
   return metadata;
 }
 
@@ -509,6 +532,41 @@ function extractTags(container) {
   return tags;
 }
 
+/**
+ * Find the first text node in a container whose whole text matches a pattern
+ * Card text runs together in textContent, so each node is tested on its own.
+ */
+function findTextMatch(container, pattern) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const match = walker.currentNode.textContent.trim().match(pattern);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract release date (YYYY-MM-DD) from container
+ */
+function extractReleaseDate(container) {
+  const match = findTextMatch(container, /^(\d{4}-\d{2}-\d{2})$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract duration in seconds from container (shown as H:MM:SS or M:SS)
+ */
+function extractDuration(container) {
+  const match = findTextMatch(container, /^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const [, hours, minutes, seconds] = match;
+  return parseInt(hours || '0', 10) * 3600 + parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+}
+
 /**
  * Extract metadata from current scene detail page
  * Used when user right-clicks directly on a scene page
@@ -526,7 +584,9 @@ function extractCurrentSceneMetadata() {
     title: '',
     studio: '',
     performers: [],
-    tags: []
+    tags: [],
+    date: null,
+    duration: null
   };
   
   // On a scene detail page, metadata is usually in the main content area
@@ -615,7 +675,158 @@ function extractCurrentSceneMetadata() {
     console.log("[StashDB-Whisparr] Found tags:", metadata.tags);
   }
   
+  // Release date and duration
+  const main = document.querySelector('main') || document.body;
+  metadata.date = extractReleaseDate(main);
+  metadata.duration = extractDuration(main);
+  
   console.log("[StashDB-Whisparr] Extracted current scene metadata:", metadata);
   return metadata;
 }
 
+
+// ============================================
+// Library Badges
+// ============================================
+
+// Library state per scene ID from the background's library index (null = unavailable)
+const libraryStates = new Map();
+
+// Scene IDs with a state request in flight
+const pendingLibraryIds = new Set();
+
+// Debounce timer for badge refreshes while the page renders
+let badgeRefreshTimer = null;
+
+// Backoff after a failed or incomplete state request (Whisparr down, index not built yet)
+const LIBRARY_RETRY_MIN_MS = 5 * 1000;
+const LIBRARY_RETRY_MAX_MS = 5 * 60 * 1000;
+let libraryRetryDelayMs = 0;
+let libraryRetryAt = 0;
+let libraryRetryTimer = null;
+
+const LIBRARY_BADGE_LABELS = {
+  'has-file': 'In Whisparr',
+  'missing': 'In Whisparr · Missing',
+  'not-in-library': 'Not in library',
+  'unknown': 'Library unknown'
+};
+
+/**
+ * Find scene cards that belong to exactly one scene
+ * Returns array of { stashId, container }
+ */
+function findBadgeableSceneCards() {
+  const cards = [];
+  const seenContainers = new Set();
+  
+  document.querySelectorAll('a[href*="/scenes/"]').forEach(link => {
+    const stashId = extractStashIdFromUrl(link.href);
+    if (!stashId) return;
+    
+    const container = findSceneContainer(link);
+    if (!container || container === document.body || seenContainers.has(container)) return;
+    
+    // Skip containers that hold more than one scene (lists, page sections)
+    const containerIds = new Set();
+    container.querySelectorAll('a[href*="/scenes/"]').forEach(a => {
+      const id = extractStashIdFromUrl(a.href);
+      if (id) containerIds.add(id);
+    });
+    if (containerIds.size !== 1) return;
+    
+    seenContainers.add(container);
+    cards.push({ stashId, container });
+  });
+  
+  return cards;
+}
+
+// Ask again after a growing delay
+function scheduleLibraryRetry() {
+  libraryRetryDelayMs = Math.min(libraryRetryDelayMs * 2 || LIBRARY_RETRY_MIN_MS, LIBRARY_RETRY_MAX_MS);
+  libraryRetryAt = Date.now() + libraryRetryDelayMs;
+  clearTimeout(libraryRetryTimer);
+  libraryRetryTimer = setTimeout(refreshLibraryBadges, libraryRetryDelayMs);
+}
+
+/**
+ * Ask the background for the library state of any new scene cards and badge them
+ */
+async function refreshLibraryBadges() {
+  const cards = findBadgeableSceneCards();
+  if (cards.length === 0) return;
+  
+  // New cards, and cards whose state was unknown because a server's library couldn't be fetched
+  const requestIds = [...new Set(cards.map(c => c.stashId))]
+    .filter(id => (!libraryStates.has(id) || libraryStates.get(id)?.state === 'unknown') && !pendingLibraryIds.has(id));
+  
+  // After a failure, wait out the backoff - the retry timer asks again
+  if (requestIds.length > 0 && Date.now() >= libraryRetryAt) {
+    requestIds.forEach(id => pendingLibraryIds.add(id));
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'getLibraryState', stashIds: requestIds });
+      if (!response?.success) {
+        throw new Error(response?.error || "No response from background");
+      }
+      requestIds.forEach(id => libraryStates.set(id, response.states[id] || null));
+      if (requestIds.some(id => response.states[id]?.state === 'unknown')) {
+        scheduleLibraryRetry();
+      } else {
+        libraryRetryDelayMs = 0;
+      }
+    } catch (error) {
+      // Don't remember failures, ask again after a growing delay
+      console.error("[StashDB-Whisparr] Could not get library state:", error);
+      scheduleLibraryRetry();
+    } finally {
+      requestIds.forEach(id => pendingLibraryIds.delete(id));
+    }
+  }
+  
+  cards.forEach(({ stashId, container }) => renderLibraryBadge(container, stashId));
+}
+
+/**
+ * Overlay (or update) the library badge on a scene card
+ */
+function renderLibraryBadge(container, stashId) {
+  const info = libraryStates.get(stashId);
+  let badge = container.querySelector(':scope > .stashdb-whisparr-badge');
+  
+  if (!info) {
+    badge?.remove();
+    return;
+  }
+  
+  // Leave unchanged badges alone so we don't retrigger the observer
+  if (badge && badge.dataset.state === info.state) return;
+  
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'stashdb-whisparr-badge';
+    if (getComputedStyle(container).position === 'static') {
+      container.classList.add('stashdb-whisparr-badge-host');
+    }
+    container.appendChild(badge);
+  }
+  
+  badge.dataset.state = info.state;
+  badge.textContent = LIBRARY_BADGE_LABELS[info.state] || info.state;
+}
+
+function scheduleLibraryBadgeRefresh() {
+  clearTimeout(badgeRefreshTimer);
+  badgeRefreshTimer = setTimeout(refreshLibraryBadges, 500);
+}
+
+// StashDB renders client-side, so re-check for scene cards whenever the page changes
+new MutationObserver((mutations) => {
+  const onlyBadges = mutations.every(m =>
+    Array.from(m.addedNodes).every(n => n.classList?.contains('stashdb-whisparr-badge')) &&
+    m.removedNodes.length === 0
+  );
+  if (!onlyBadges) {
+    scheduleLibraryBadgeRefresh();
+  }
+}).observe(document.documentElement, { childList: true, subtree: true });
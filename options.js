@@ -4,70 +4,231 @@ document.addEventListener("DOMContentLoaded", loadSettings);
 // Save settings when form is submitted
 document.getElementById("settings-form").addEventListener("submit", saveSettings);
 
-// Test connection button
-document.getElementById("testConnection").addEventListener("click", testConnection);
+// Add server / rule buttons
+document.getElementById("addServer").addEventListener("click", () => {
+  addServerCard(createServerProfile(), getServerCards().length === 0);
+  refreshRuleServerOptions();
+});
+document.getElementById("addRoutingRule").addEventListener("click", () => addRoutingRuleRow(createRoutingRule()));
+document.getElementById("addTagRule").addEventListener("click", () => addTagRuleRow(createTagRule()));
+document.getElementById("testStashDB").addEventListener("click", testStashDB);
 
-async function loadSettings() {
-  const defaults = {
+const serverList = document.getElementById("serverList");
+const routingRuleList = document.getElementById("routingRuleList");
+const routingRuleEmpty = document.getElementById("routingRuleEmpty");
+const tagRuleList = document.getElementById("tagRuleList");
+const tagRuleEmpty = document.getElementById("tagRuleEmpty");
+
+/**
+ * Create a new server profile with defaults
+ * @returns {Object} New server profile
+ */
+function createServerProfile() {
+  return {
+    id: `server-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name: "",
     whisparrUrl: "",
     apiKey: "",
     rootFolderPath: "",
     qualityProfileId: "",
     searchForMovie: true,
-    monitored: true
+    upgradeSearch: false,
+    monitored: true,
+    auth: { type: "none", username: "", password: "", headers: [] }
+  };
+}
+
+/**
+ * Create a new routing rule with defaults
+ * @returns {Object} New routing rule
+ */
+function createRoutingRule() {
+  return {
+    id: `route-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: "studio",
+    value: "",
+    serverId: null,
+    enabled: true
+  };
+}
+
+/**
+ * Create a new tag rule with defaults
+ * @returns {Object} New tag rule
+ */
+function createTagRule() {
+  return {
+    id: `tagrule-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    type: "studio",
+    value: "",
+    tag: "",
+    enabled: true
+  };
+}
+
+async function loadSettings() {
+  const defaults = {
+    servers: [],
+    defaultServerId: null,
+    routingRules: [],
+    tagRules: [],
+    queueConcurrency: 3,
+    queueRequestsPerSecond: 5,
+    autoResumeBatches: false,
+    notifyBatchImported: false,
+    stashdbApiKey: "",
+    stashdbEndpoint: "https://stashdb.org/graphql"
   };
 
   const settings = await browser.storage.sync.get(defaults);
 
-  document.getElementById("whisparrUrl").value = settings.whisparrUrl;
-  document.getElementById("apiKey").value = settings.apiKey;
-  document.getElementById("searchForMovie").checked = settings.searchForMovie;
-  document.getElementById("monitored").checked = settings.monitored;
+  document.getElementById("queueConcurrency").value = settings.queueConcurrency;
+  document.getElementById("queueRequestsPerSecond").value = settings.queueRequestsPerSecond;
+  document.getElementById("autoResumeBatches").checked = settings.autoResumeBatches;
+  document.getElementById("notifyBatchImported").checked = settings.notifyBatchImported;
+  document.getElementById("stashdbApiKey").value = settings.stashdbApiKey;
+  document.getElementById("stashdbEndpoint").value = settings.stashdbEndpoint;
+
+  // Always show at least one server card
+  const servers = settings.servers.length > 0 ? settings.servers : [createServerProfile()];
+  const defaultServerId = servers.some(s => s.id === settings.defaultServerId)
+    ? settings.defaultServerId
+    : servers[0].id;
+
+  const cards = servers.map(server => addServerCard(server, server.id === defaultServerId));
+  settings.routingRules.forEach(rule => addRoutingRuleRow(rule));
+  settings.tagRules.forEach(rule => addTagRuleRow(rule));
+  updateRoutingRuleEmpty();
+  updateTagRuleEmpty();
 
   // If we have saved settings, try to load the dropdowns
-  if (settings.whisparrUrl && settings.apiKey) {
-    await testConnection(null, settings.rootFolderPath, settings.qualityProfileId);
+  await Promise.all(cards.map((card, index) => {
+    const server = servers[index];
+    if (server.whisparrUrl && server.apiKey) {
+      return testConnection(card, server.rootFolderPath, server.qualityProfileId);
+    }
+    return null;
+  }));
+}
+
+// ============================================
+// Server Profiles
+// ============================================
+
+function getServerCards() {
+  return Array.from(serverList.querySelectorAll(".server-card"));
+}
+
+function getField(card, field) {
+  return card.querySelector(`[data-field="${field}"]`);
+}
+
+/**
+ * Render a server profile card from the template
+ * @param {Object} server - Server profile
+ * @param {boolean} isDefault - Whether this is the default server
+ * @returns {HTMLElement} The card element
+ */
+function addServerCard(server, isDefault = false) {
+  const fragment = document.getElementById("serverTemplate").content.cloneNode(true);
+  const card = fragment.querySelector(".server-card");
+  card.dataset.serverId = server.id;
+
+  // Give each field a unique ID so its label stays clickable
+  card.querySelectorAll("[data-field]").forEach(el => {
+    el.id = `${server.id}-${el.dataset.field}`;
+  });
+  card.querySelectorAll("label[data-for]").forEach(label => {
+    label.htmlFor = `${server.id}-${label.dataset.for}`;
+  });
+
+  const nameInput = card.querySelector(".server-name");
+  nameInput.value = server.name;
+  nameInput.addEventListener("input", refreshRuleServerOptions);
+
+  card.querySelector(".server-default").checked = isDefault;
+  getField(card, "whisparrUrl").value = server.whisparrUrl;
+  getField(card, "apiKey").value = server.apiKey;
+  getField(card, "monitored").checked = server.monitored;
+  getField(card, "searchForMovie").checked = server.searchForMovie;
+  getField(card, "upgradeSearch").checked = !!server.upgradeSearch;
+
+  // Reverse proxy authentication
+  const auth = server.auth || { type: "none" };
+  const authType = getField(card, "authType");
+  authType.value = auth.type || "none";
+  authType.addEventListener("change", () => updateAuthFields(card));
+  getField(card, "authUsername").value = auth.username || "";
+  getField(card, "authPassword").value = auth.password || "";
+  (auth.headers || []).forEach(header => addAuthHeaderRow(card, header));
+  card.querySelector(".add-auth-header").addEventListener("click", () => addAuthHeaderRow(card));
+  updateAuthFields(card);
+
+  card.querySelector(".test-connection").addEventListener("click", () => testConnection(card));
+  card.querySelector(".remove-server").addEventListener("click", () => removeServerCard(card));
+
+  serverList.appendChild(fragment);
+  return card;
+}
+
+function removeServerCard(card) {
+  if (getServerCards().length <= 1) {
+    showStatus("At least one server is required", "error");
+    return;
+  }
+
+  const wasDefault = card.querySelector(".server-default").checked;
+  card.remove();
+
+  // Keep a default server selected
+  if (wasDefault) {
+    getServerCards()[0].querySelector(".server-default").checked = true;
   }
+
+  refreshRuleServerOptions();
 }
 
-async function testConnection(e, savedRootFolder = null, savedQualityProfile = null) {
-  const whisparrUrl = document.getElementById("whisparrUrl").value.trim();
-  const apiKey = document.getElementById("apiKey").value.trim();
-  const connectionStatus = document.getElementById("connectionStatus");
-  const testBtn = document.getElementById("testConnection");
+async function testConnection(card, savedRootFolder = null, savedQualityProfile = null) {
+  const whisparrUrl = getField(card, "whisparrUrl").value.trim();
+  const apiKey = getField(card, "apiKey").value.trim();
+  const testBtn = card.querySelector(".test-connection");
 
   if (!whisparrUrl || !apiKey) {
-    showConnectionStatus("Please enter server URL and API key first", "error");
+    showConnectionStatus(card, "Please enter server URL and API key first", "error");
     return;
   }
 
+  const invalidHeader = findInvalidHeaderName(readAuthFields(card));
+  if (invalidHeader !== null) {
+    showConnectionStatus(card, `Invalid header name "${invalidHeader}": names can't contain spaces, colons or other separators`, "error");
+    return;
+  }
+
+  // Keep the current selection when re-testing
+  savedRootFolder = savedRootFolder || getField(card, "rootFolderPath").value;
+  savedQualityProfile = savedQualityProfile || getField(card, "qualityProfileId").value;
+
   // Show loading state
   testBtn.disabled = true;
   testBtn.textContent = "Testing...";
-  showConnectionStatus("Connecting to Whisparr...", "loading");
-
-  const baseUrl = whisparrUrl.replace(/\/$/, "");
+  showConnectionStatus(card, "Connecting to Whisparr...", "loading");
 
   try {
-    // Fetch quality profiles and root folders in parallel
-    const [profilesRes, foldersRes] = await Promise.all([
-      fetch(`${baseUrl}/api/v3/qualityprofile`, {
-        headers: { "X-Api-Key": apiKey }
-      }),
-      fetch(`${baseUrl}/api/v3/rootfolder`, {
-        headers: { "X-Api-Key": apiKey }
-      })
-    ]);
-
-    if (!profilesRes.ok || !foldersRes.ok) {
-      throw new Error(`API returned ${profilesRes.status || foldersRes.status}`);
+    // The background sends the request so proxy authentication is applied the same way as for adds
+    const response = await browser.runtime.sendMessage({
+      action: "testServerConnection",
+      server: readServerCard(card)
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || "No response from background");
     }
 
-    const profiles = await profilesRes.json();
-    const folders = await foldersRes.json();
+    const profiles = response.qualityProfiles;
+    const folders = response.rootFolders;
 
     // Populate quality profiles dropdown
-    const profileSelect = document.getElementById("qualityProfileId");
+    const profileSelect = getField(card, "qualityProfileId");
     profileSelect.replaceChildren();
     profileSelect.disabled = false;
 
@@ -84,7 +245,7 @@ async function testConnection(e, savedRootFolder = null, savedQualityProfile = n
     }
 
     // Populate root folders dropdown
-    const folderSelect = document.getElementById("rootFolderPath");
+    const folderSelect = getField(card, "rootFolderPath");
     folderSelect.replaceChildren();
     folderSelect.disabled = false;
 
@@ -100,35 +261,34 @@ async function testConnection(e, savedRootFolder = null, savedQualityProfile = n
       folderSelect.value = savedRootFolder;
     }
 
-    showConnectionStatus(`Connected! Found ${profiles.length} quality profiles and ${folders.length} root folders.`, "success");
+    const { appName, version, apiVersion } = response.capabilities;
+    let statusMessage = `Connected to ${appName}${version ? ` ${version}` : ""} (API ${apiVersion})! Found ${profiles.length} quality profiles and ${folders.length} root folders.`;
+    if (response.missingCapabilities.length > 0) {
+      statusMessage += ` Not supported by this server: ${response.missingCapabilities.join(", ")}.`;
+    }
+    showConnectionStatus(card, statusMessage, "success");
 
   } catch (error) {
-    showConnectionStatus(`Connection failed: ${error.message}`, "error");
-    
+    showConnectionStatus(card, `Connection failed: ${error.message}`, "error");
+
     // Reset dropdowns
-    const qualitySelect = document.getElementById("qualityProfileId");
-    qualitySelect.replaceChildren();
-    const qualityOption = document.createElement("option");
-    qualityOption.value = "";
-    qualityOption.textContent = "Test connection first...";
-    qualitySelect.appendChild(qualityOption);
-    qualitySelect.disabled = true;
-
-    const rootSelect = document.getElementById("rootFolderPath");
-    rootSelect.replaceChildren();
-    const rootOption = document.createElement("option");
-    rootOption.value = "";
-    rootOption.textContent = "Test connection first...";
-    rootSelect.appendChild(rootOption);
-    rootSelect.disabled = true;
+    ["qualityProfileId", "rootFolderPath"].forEach(field => {
+      const select = getField(card, field);
+      select.replaceChildren();
+      const option = document.createElement("option");
+      option.value = "";
+      option.textContent = "Test connection first...";
+      select.appendChild(option);
+      select.disabled = true;
+    });
   } finally {
     testBtn.disabled = false;
     testBtn.textContent = "Test Connection";
   }
 }
 
-function showConnectionStatus(message, type) {
-  const statusEl = document.getElementById("connectionStatus");
+function showConnectionStatus(card, message, type) {
+  const statusEl = card.querySelector(".connection-status");
   statusEl.textContent = message;
   statusEl.className = `connection-status ${type} show`;
 }
@@ -141,24 +301,301 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i];
 }
 
+/**
+ * Read a server profile back out of its card
+ */
+function readServerCard(card) {
+  return {
+    id: card.dataset.serverId,
+    name: card.querySelector(".server-name").value.trim(),
+    whisparrUrl: getField(card, "whisparrUrl").value.trim(),
+    apiKey: getField(card, "apiKey").value.trim(),
+    rootFolderPath: getField(card, "rootFolderPath").value,
+    qualityProfileId: parseInt(getField(card, "qualityProfileId").value, 10),
+    searchForMovie: getField(card, "searchForMovie").checked,
+    upgradeSearch: getField(card, "upgradeSearch").checked,
+    monitored: getField(card, "monitored").checked,
+    auth: readAuthFields(card)
+  };
+}
+
+// ============================================
+// Reverse Proxy Authentication
+// ============================================
+
+/**
+ * Show the fields for the selected authentication type
+ */
+function updateAuthFields(card) {
+  const type = getField(card, "authType").value;
+  card.querySelector(".auth-basic").style.display = type === "basic" ? "block" : "none";
+  card.querySelector(".auth-headers").style.display = type === "headers" ? "block" : "none";
+}
+
+/**
+ * Add a custom header row to a server card
+ * @param {HTMLElement} card - Server card
+ * @param {Object} header - { name, value }
+ */
+function addAuthHeaderRow(card, header = { name: "", value: "" }) {
+  const fragment = document.getElementById("authHeaderTemplate").content.cloneNode(true);
+  const row = fragment.querySelector(".rule-row");
+
+  row.querySelector(".auth-header-name").value = header.name;
+  row.querySelector(".auth-header-value").value = header.value;
+  row.querySelector(".remove-rule").addEventListener("click", () => row.remove());
+
+  card.querySelector(".auth-header-list").appendChild(fragment);
+}
+
+// Header names must be RFC 7230 tokens, or every request to the server fails
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Find a custom header name that fetch() would reject
+ * @param {Object} auth - Authentication settings from readAuthFields()
+ * @returns {string|null} The first invalid name, or null if all are valid
+ */
+function findInvalidHeaderName(auth) {
+  if (auth.type !== "headers") {
+    return null;
+  }
+  const invalid = auth.headers.find(header => !HEADER_NAME_PATTERN.test(header.name));
+  return invalid ? invalid.name : null;
+}
+
+/**
+ * Read the authentication settings of a server card
+ * @returns {Object} { type, username, password, headers }
+ */
+function readAuthFields(card) {
+  const headers = [];
+  card.querySelectorAll(".auth-header-list .rule-row").forEach(row => {
+    const name = row.querySelector(".auth-header-name").value.trim();
+    if (name) {
+      headers.push({ name, value: row.querySelector(".auth-header-value").value });
+    }
+  });
+
+  return {
+    type: getField(card, "authType").value,
+    username: getField(card, "authUsername").value.trim(),
+    password: getField(card, "authPassword").value,
+    headers
+  };
+}
+
+// ============================================
+// Routing Rules
+// ============================================
+
+/**
+ * Set up the enable/disable checkbox of a routing or tag rule row
+ * @param {HTMLElement} row - Rule row
+ * @param {Object} rule - Routing or tag rule
+ */
+function initRuleToggle(row, rule) {
+  const toggle = row.querySelector(".rule-enabled");
+  toggle.checked = rule.enabled !== false;
+  row.classList.toggle("disabled", !toggle.checked);
+  toggle.addEventListener("change", () => row.classList.toggle("disabled", !toggle.checked));
+}
+
+/**
+ * Render a routing rule row from the template
+ * @param {Object} rule - Routing rule
+ */
+function addRoutingRuleRow(rule) {
+  const fragment = document.getElementById("routingRuleTemplate").content.cloneNode(true);
+  const row = fragment.querySelector(".rule-row");
+  row.dataset.ruleId = rule.id;
+  row.dataset.serverId = rule.serverId || "";
+  initRuleToggle(row, rule);
+
+  row.querySelector(".rule-type").value = rule.type;
+
+  const valueInput = row.querySelector(".rule-value");
+  valueInput.value = rule.value || "";
+
+  const serverSelect = row.querySelector(".rule-server");
+  serverSelect.addEventListener("change", () => {
+    row.dataset.serverId = serverSelect.value;
+  });
+
+  row.querySelector(".remove-rule").addEventListener("click", () => {
+    row.remove();
+    updateRoutingRuleEmpty();
+  });
+
+  routingRuleList.appendChild(fragment);
+  populateRuleServerSelect(row);
+  updateRoutingRuleEmpty();
+}
+
+/**
+ * Fill a rule's server dropdown with the current server cards
+ */
+function populateRuleServerSelect(row) {
+  const serverSelect = row.querySelector(".rule-server");
+  const cards = getServerCards();
+  serverSelect.replaceChildren();
+
+  cards.forEach((card, index) => {
+    const option = document.createElement("option");
+    option.value = card.dataset.serverId;
+    option.textContent = card.querySelector(".server-name").value.trim() || `Server ${index + 1}`;
+    serverSelect.appendChild(option);
+  });
+
+  if (cards.some(card => card.dataset.serverId === row.dataset.serverId)) {
+    serverSelect.value = row.dataset.serverId;
+  } else {
+    row.dataset.serverId = serverSelect.value;
+  }
+}
+
+function refreshRuleServerOptions() {
+  routingRuleList.querySelectorAll(".rule-row").forEach(populateRuleServerSelect);
+}
+
+function updateRoutingRuleEmpty() {
+  const hasRules = routingRuleList.querySelector(".rule-row") !== null;
+  routingRuleEmpty.style.display = hasRules ? "none" : "block";
+}
+
+// ============================================
+// Tag Rules
+// ============================================
+
+/**
+ * Render a tag rule row from the template
+ * @param {Object} rule - Tag rule
+ */
+function addTagRuleRow(rule) {
+  const fragment = document.getElementById("tagRuleTemplate").content.cloneNode(true);
+  const row = fragment.querySelector(".rule-row");
+  row.dataset.ruleId = rule.id;
+  initRuleToggle(row, rule);
+
+  row.querySelector(".rule-type").value = rule.type;
+  row.querySelector(".rule-value").value = rule.value || "";
+  row.querySelector(".rule-tag").value = rule.tag || "";
+
+  row.querySelector(".remove-rule").addEventListener("click", () => {
+    row.remove();
+    updateTagRuleEmpty();
+  });
+
+  tagRuleList.appendChild(fragment);
+  updateTagRuleEmpty();
+}
+
+function updateTagRuleEmpty() {
+  const hasRules = tagRuleList.querySelector(".rule-row") !== null;
+  tagRuleEmpty.style.display = hasRules ? "none" : "block";
+}
+
+function validateRegex(pattern) {
+  try {
+    new RegExp(pattern, "i");
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// ============================================
+// Save
+// ============================================
+
 async function saveSettings(e) {
   e.preventDefault();
 
-  const qualityProfileId = document.getElementById("qualityProfileId").value;
-  const rootFolderPath = document.getElementById("rootFolderPath").value;
+  const cards = getServerCards();
+  const servers = cards.map(readServerCard);
+
+  for (const [index, server] of servers.entries()) {
+    const label = server.name || `Server ${index + 1}`;
+    if (!server.name) {
+      showStatus(`Please enter a name for ${label}`, "error");
+      return;
+    }
+    const invalidHeader = findInvalidHeaderName(server.auth);
+    if (invalidHeader !== null) {
+      const message = `Invalid header name "${invalidHeader}": names can't contain spaces, colons or other separators`;
+      showConnectionStatus(cards[index], message, "error");
+      showStatus(`${label}: ${message}`, "error");
+      return;
+    }
+    if (!server.qualityProfileId || !server.rootFolderPath) {
+      showStatus(`${label}: please test connection and select quality profile and root folder`, "error");
+      return;
+    }
+  }
+
+  const defaultCard = cards.find(card => card.querySelector(".server-default").checked) || cards[0];
+
+  const routingRules = [];
+  for (const row of routingRuleList.querySelectorAll(".rule-row")) {
+    const value = row.querySelector(".rule-value").value.trim();
+    if (!value) continue;
 
-  if (!qualityProfileId || !rootFolderPath) {
-    showStatus("Please test connection and select quality profile and root folder", "error");
+    if (!validateRegex(value)) {
+      showStatus(`Invalid routing rule pattern: /${value}/`, "error");
+      return;
+    }
+
+    routingRules.push({
+      id: row.dataset.ruleId,
+      type: row.querySelector(".rule-type").value,
+      value,
+      serverId: row.querySelector(".rule-server").value,
+      enabled: row.querySelector(".rule-enabled").checked
+    });
+  }
+
+  const tagRules = [];
+  for (const row of tagRuleList.querySelectorAll(".rule-row")) {
+    const value = row.querySelector(".rule-value").value.trim();
+    const tag = row.querySelector(".rule-tag").value.trim();
+    if (!value && !tag) continue;
+
+    if (!value || !tag) {
+      showStatus("Tag rules need both a pattern and a tag", "error");
+      return;
+    }
+    if (!validateRegex(value)) {
+      showStatus(`Invalid tag rule pattern: /${value}/`, "error");
+      return;
+    }
+
+    tagRules.push({
+      id: row.dataset.ruleId,
+      type: row.querySelector(".rule-type").value,
+      value,
+      tag,
+      enabled: row.querySelector(".rule-enabled").checked
+    });
+  }
+
+  const queueConcurrency = parseInt(document.getElementById("queueConcurrency").value, 10);
+  const queueRequestsPerSecond = parseFloat(document.getElementById("queueRequestsPerSecond").value);
+
+  if (!(queueConcurrency >= 1) || !(queueRequestsPerSecond >= 0)) {
+    showStatus("Please enter valid queue settings", "error");
     return;
   }
 
   const settings = {
-    whisparrUrl: document.getElementById("whisparrUrl").value.trim(),
-    apiKey: document.getElementById("apiKey").value.trim(),
-    rootFolderPath: rootFolderPath,
-    qualityProfileId: parseInt(qualityProfileId, 10),
-    searchForMovie: document.getElementById("searchForMovie").checked,
-    monitored: document.getElementById("monitored").checked
+    servers,
+    defaultServerId: defaultCard.dataset.serverId,
+    routingRules,
+    tagRules,
+    queueConcurrency,
+    queueRequestsPerSecond,
+    autoResumeBatches: document.getElementById("autoResumeBatches").checked,
+    notifyBatchImported: document.getElementById("notifyBatchImported").checked,
+    ...readStashDBFields()
   };
 
   try {
@@ -169,6 +606,52 @@ async function saveSettings(e) {
   }
 }
 
+// ============================================
+// StashDB Metadata
+// ============================================
+
+function readStashDBFields() {
+  return {
+    stashdbApiKey: document.getElementById("stashdbApiKey").value.trim(),
+    stashdbEndpoint: document.getElementById("stashdbEndpoint").value.trim() || "https://stashdb.org/graphql"
+  };
+}
+
+async function testStashDB() {
+  const { stashdbApiKey, stashdbEndpoint } = readStashDBFields();
+  const testBtn = document.getElementById("testStashDB");
+  const statusEl = document.getElementById("stashdbStatus");
+  const showResult = (message, type) => {
+    statusEl.textContent = message;
+    statusEl.className = `connection-status ${type} show`;
+  };
+
+  if (!stashdbApiKey) {
+    showResult("Please enter a StashDB API key first", "error");
+    return;
+  }
+
+  testBtn.disabled = true;
+  showResult("Connecting to StashDB...", "loading");
+
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: "testStashDBConnection",
+      stashdb: { apiKey: stashdbApiKey, endpoint: stashdbEndpoint }
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || "No response from background");
+    }
+
+    showResult(response.username ? `Connected as ${response.username}!` : "Connected!", "success");
+  } catch (error) {
+    showResult(`Connection failed: ${error.message}`, "error");
+  } finally {
+    testBtn.disabled = false;
+  }
+}
+
 function showStatus(message, type) {
   const statusEl = document.getElementById("status");
   statusEl.textContent = message;
@@ -0,0 +1,134 @@
+// Per-add override dialog: pick server, quality profile, root folder, monitoring, search and batch tag for one add
+
+// Get scene count from URL parameters
+const urlParams = new URLSearchParams(window.location.search);
+const sceneCount = parseInt(urlParams.get('count'), 10) || 0;
+
+const serverSelect = document.getElementById('serverId');
+const qualitySelect = document.getElementById('qualityProfileId');
+const folderSelect = document.getElementById('rootFolderPath');
+const monitorSelect = document.getElementById('monitor');
+const monitoredInput = document.getElementById('monitored');
+const searchInput = document.getElementById('searchForMovie');
+const confirmBtn = document.getElementById('confirmBtn');
+const statusEl = document.getElementById('status');
+
+let servers = [];
+
+// Display the count
+document.getElementById('sceneCount').textContent = sceneCount;
+document.getElementById('sceneNoun').textContent = sceneCount === 1 ? 'scene' : 'scenes';
+confirmBtn.textContent = sceneCount === 1 ? 'Add' : `Add ${sceneCount}`;
+
+document.addEventListener('DOMContentLoaded', loadServers);
+
+async function loadServers() {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getOverrideOptions' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not load servers');
+    }
+    
+    servers = response.servers;
+    if (servers.length === 0) {
+      throw new Error('Please configure Whisparr settings in extension options');
+    }
+    
+    servers.forEach(server => {
+      const option = document.createElement('option');
+      option.value = server.id;
+      option.textContent = server.name;
+      serverSelect.appendChild(option);
+    });
+    serverSelect.value = response.defaultServerId || servers[0].id;
+    
+    await loadServerOptions();
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+// Load quality profiles and root folders for the selected server
+async function loadServerOptions() {
+  const server = servers.find(s => s.id === serverSelect.value);
+  if (!server) return;
+  
+  confirmBtn.disabled = true;
+  qualitySelect.disabled = true;
+  folderSelect.disabled = true;
+  statusEl.textContent = '';
+  
+  // Start from the server's saved defaults
+  monitoredInput.checked = server.monitored;
+  searchInput.checked = server.searchForMovie;
+  
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getServerAddOptions', serverId: server.id });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Could not reach server');
+    }
+    
+    fillSelect(qualitySelect, response.qualityProfiles.map(p => ({ value: p.id, label: p.name })), server.qualityProfileId);
+    fillSelect(folderSelect, response.rootFolders.map(f => ({ value: f.path, label: f.path })), server.rootFolderPath);
+    
+    qualitySelect.disabled = false;
+    folderSelect.disabled = false;
+    confirmBtn.disabled = false;
+  } catch (error) {
+    showError(`Connection failed: ${error.message}`);
+  }
+}
+
+function fillSelect(select, options, savedValue) {
+  select.replaceChildren();
+  options.forEach(({ value, label }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  
+  // Restore saved selection or select first
+  if (options.some(o => o.value == savedValue)) {
+    select.value = savedValue;
+  }
+}
+
+function showError(message) {
+  statusEl.textContent = message;
+}
+
+serverSelect.addEventListener('change', loadServerOptions);
+
+// Handle confirm button
+confirmBtn.addEventListener('click', () => {
+  browser.runtime.sendMessage({
+    action: 'confirmOverrides',
+    overrides: {
+      serverId: serverSelect.value,
+      qualityProfileId: parseInt(qualitySelect.value, 10),
+      rootFolderPath: folderSelect.value,
+      monitor: monitorSelect.value,
+      monitored: monitoredInput.checked,
+      searchForMovie: searchInput.checked,
+      batchTag: document.getElementById('batchTag').value.trim() || null
+    }
+  });
+});
+
+// Handle cancel button
+document.getElementById('cancelBtn').addEventListener('click', () => {
+  browser.runtime.sendMessage({
+    action: 'confirmOverrides',
+    overrides: null
+  });
+});
+
+// Allow Enter key to confirm, Escape to cancel
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && !confirmBtn.disabled) {
+    confirmBtn.click();
+  } else if (e.key === 'Escape') {
+    document.getElementById('cancelBtn').click();
+  }
+});
@@ -10,14 +10,21 @@ const footer = document.getElementById('footer');
 const retryAllBtn = document.getElementById('retryAllBtn');
 const clearAllBtn = document.getElementById('clearAllBtn');
 const notificationsToggle = document.getElementById('notificationsToggle');
+const healthBanner = document.getElementById('healthBanner');
 const filterBadge = document.getElementById('filterBadge');
 const resetFiltersBtn = document.getElementById('resetFiltersBtn');
+const undoDialog = document.getElementById('undoDialog');
+const undoDialogTitle = document.getElementById('undoDialogTitle');
+const undoDeleteFiles = document.getElementById('undoDeleteFiles');
+const undoAddExclusion = document.getElementById('undoAddExclusion');
+const undoConfirmBtn = document.getElementById('undoConfirmBtn');
+const undoCancelBtn = document.getElementById('undoCancelBtn');
 
 // ============================================
 // State
 // ============================================
 let batches = [];
-let filters = [];  // Now an array of individual filter objects
+let filters = null;  // Root filter group: filters and nested groups
 let expandedBatchIds = new Set();
 let isFirstRender = true;
 
@@ -31,6 +38,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     loadNotificationSetting()
   ]);
   
+  // Probing can take a while when a server is down, so don't wait for it
+  loadServerHealth();
+  
   initTabNavigation();
   initFilterEventListeners();
   
@@ -82,6 +92,68 @@ notificationsToggle.addEventListener('change', async () => {
   await browser.storage.local.set({ notificationsEnabled: notificationsToggle.checked });
 });
 
+// ============================================
+// Server Health Banner
+// ============================================
+async function loadServerHealth() {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getServerHealth' });
+    renderHealthBanner(response?.servers || []);
+  } catch (error) {
+    console.error('[Popup] Error loading server health:', error);
+  }
+}
+
+function renderHealthBanner(servers) {
+  if (servers.length === 0) {
+    healthBanner.style.display = 'none';
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  servers.forEach(health => {
+    const row = document.createElement('div');
+    row.className = 'health-row';
+
+    const state = !health.reachable ? 'down' : health.warnings.length > 0 ? 'warning' : 'ok';
+    const dot = document.createElement('span');
+    dot.className = `health-dot ${state}`;
+    row.appendChild(dot);
+
+    const name = document.createElement('span');
+    name.className = 'health-name';
+    name.textContent = health.serverName || 'Whisparr';
+    row.appendChild(name);
+
+    if (health.version) {
+      const version = document.createElement('span');
+      version.className = 'health-version';
+      version.textContent = `v${health.version}`;
+      row.appendChild(version);
+    }
+
+    const status = document.createElement('span');
+    status.className = `health-status ${state}`;
+    status.textContent = health.reachable ? 'Reachable' : 'Unreachable';
+    if (health.error) {
+      status.title = health.error;
+    }
+    row.appendChild(status);
+
+    fragment.appendChild(row);
+
+    health.warnings.forEach(warning => {
+      const warningEl = document.createElement('div');
+      warningEl.className = `health-warning ${warning.type}`;
+      warningEl.textContent = warning.message;
+      fragment.appendChild(warningEl);
+    });
+  });
+
+  healthBanner.replaceChildren(fragment);
+  healthBanner.style.display = 'block';
+}
+
 // ============================================
 // Batch Management
 // ============================================
@@ -110,7 +182,7 @@ function renderBatches() {
 
   // Check if there are any failed scenes
   const hasFailedScenes = batches.some(batch => 
-    batch.scenes.some(scene => scene.status === 'error')
+    batch.scenes.some(scene => RETRYABLE_STATUSES.includes(scene.status))
   );
   retryAllBtn.disabled = !hasFailedScenes;
 
@@ -126,7 +198,9 @@ function renderBatches() {
   batches
     .slice()
     .reverse()
-    .forEach(batch => fragment.appendChild(renderBatch(batch, expandedBatchIds.has(batch.id))));
+    .forEach(batch => fragment.appendChild(batch.type === 'monitor'
+      ? renderMonitorEntry(batch)
+      : renderBatch(batch, expandedBatchIds.has(batch.id))));
   batchList.replaceChildren(fragment);
 
   // Attach event listeners
@@ -152,6 +226,24 @@ function renderBatch(batch, expanded = false) {
   timeSpan.textContent = time;
   headerInfo.appendChild(timeSpan);
 
+  // Mark batches added with per-add overrides
+  if (batch.overrides) {
+    const overridesSpan = document.createElement('span');
+    overridesSpan.className = 'batch-overrides';
+    overridesSpan.textContent = 'Custom';
+    overridesSpan.title = formatOverrides(batch.overrides);
+    headerInfo.appendChild(overridesSpan);
+  }
+
+  // Show the batch tag so it can be found in Whisparr later
+  if (batch.batchTag) {
+    const tagSpan = document.createElement('span');
+    tagSpan.className = 'batch-tag';
+    tagSpan.textContent = batch.batchTag;
+    tagSpan.title = 'Whisparr batch tag';
+    headerInfo.appendChild(tagSpan);
+  }
+
   const statsDiv = document.createElement('div');
   statsDiv.className = 'batch-stats';
   
@@ -179,12 +271,31 @@ function renderBatch(batch, expanded = false) {
     pendingStat.textContent = `${stats.pending} pending`;
     statsDiv.appendChild(pendingStat);
   }
+  if (stats.held > 0) {
+    const heldStat = document.createElement('span');
+    heldStat.className = 'batch-stat held';
+    heldStat.textContent = `${stats.held} held`;
+    heldStat.title = 'Waiting for Whisparr to come back online';
+    statsDiv.appendChild(heldStat);
+  }
   if (stats.cancelled > 0) {
     const cancelledStat = document.createElement('span');
     cancelledStat.className = 'batch-stat cancelled';
     cancelledStat.textContent = `${stats.cancelled} cancelled`;
     statsDiv.appendChild(cancelledStat);
   }
+  if (stats.excluded > 0) {
+    const excludedStat = document.createElement('span');
+    excludedStat.className = 'batch-stat excluded';
+    excludedStat.textContent = `${stats.excluded} excluded`;
+    statsDiv.appendChild(excludedStat);
+  }
+  if (stats.interrupted > 0) {
+    const interruptedStat = document.createElement('span');
+    interruptedStat.className = 'batch-stat interrupted';
+    interruptedStat.textContent = `${stats.interrupted} interrupted`;
+    statsDiv.appendChild(interruptedStat);
+  }
   if (stats.removed > 0) {
     const removedStat = document.createElement('span');
     removedStat.className = 'batch-stat removed';
@@ -194,8 +305,8 @@ function renderBatch(batch, expanded = false) {
   headerInfo.appendChild(statsDiv);
   header.appendChild(headerInfo);
   
-  // Add cancel button if there are pending scenes
-  if (stats.pending > 0) {
+  // Add cancel button if there are pending or held scenes
+  if (stats.pending > 0 || stats.held > 0) {
     const cancelBtn = document.createElement('button');
     cancelBtn.className = 'batch-cancel';
     cancelBtn.dataset.batchId = batch.id;
@@ -203,6 +314,28 @@ function renderBatch(batch, expanded = false) {
     cancelBtn.title = 'Cancel remaining scenes';
     header.appendChild(cancelBtn);
   }
+  
+  // Add undo button once nothing is pending and some scenes can be removed
+  const undoableCount = batch.scenes.filter(s => UNDOABLE_STATUSES.includes(s.status)).length;
+  if (stats.pending === 0 && undoableCount > 0) {
+    const undoBtn = document.createElement('button');
+    undoBtn.className = 'batch-undo';
+    undoBtn.dataset.batchId = batch.id;
+    undoBtn.dataset.count = undoableCount;
+    undoBtn.textContent = 'Undo';
+    undoBtn.title = 'Remove every added scene in this batch from Whisparr';
+    header.appendChild(undoBtn);
+  }
+
+  // Add resume button if scenes were cut off by a background restart
+  if (stats.interrupted > 0) {
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'batch-resume';
+    resumeBtn.dataset.batchId = batch.id;
+    resumeBtn.textContent = 'Resume';
+    resumeBtn.title = 'Resume interrupted scenes';
+    header.appendChild(resumeBtn);
+  }
 
   // Create chevron SVG
   const chevron = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -229,10 +362,58 @@ function renderBatch(batch, expanded = false) {
   return batchEl;
 }
 
+// Performer/studio monitor actions are shown as a single history row
+function renderMonitorEntry(entry) {
+  const entryEl = document.createElement('div');
+  entryEl.className = 'batch monitor-entry';
+  entryEl.dataset.batchId = entry.id;
+
+  const header = document.createElement('div');
+  header.className = 'monitor-header';
+
+  const headerInfo = document.createElement('div');
+
+  const timeSpan = document.createElement('span');
+  timeSpan.className = 'batch-time';
+  timeSpan.textContent = formatTime(entry.timestamp);
+  headerInfo.appendChild(timeSpan);
+
+  const typeSpan = document.createElement('span');
+  typeSpan.className = 'monitor-type';
+  typeSpan.textContent = entry.entityType === 'studio' ? 'Studio' : 'Performer';
+  headerInfo.appendChild(typeSpan);
+
+  if (entry.serverName) {
+    const serverSpan = document.createElement('span');
+    serverSpan.className = 'scene-server';
+    serverSpan.textContent = entry.serverName;
+    serverSpan.title = 'Whisparr server';
+    headerInfo.appendChild(serverSpan);
+  }
+
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'scene-title';
+  nameDiv.textContent = entry.name || `${entry.stashId.substring(0, 8)}...`;
+  headerInfo.appendChild(nameDiv);
+
+  header.appendChild(headerInfo);
+
+  const badge = document.createElement('span');
+  badge.className = `status-badge ${entry.status}`;
+  badge.textContent = getMonitorStatusLabel(entry.status);
+  if (entry.error) {
+    badge.title = entry.error;
+  }
+  header.appendChild(badge);
+
+  entryEl.appendChild(header);
+  return entryEl;
+}
+
 function renderScene(batchId, scene) {
   const shortId = scene.stashId.substring(0, 8);
-  const showRetry = scene.status === 'error';
-  const showUndo = ['added', 'searched'].includes(scene.status);
+  const showRetry = RETRYABLE_STATUSES.includes(scene.status);
+  const showUndo = UNDOABLE_STATUSES.includes(scene.status);
   
   const sceneEl = document.createElement('div');
   sceneEl.className = 'scene';
@@ -251,11 +432,64 @@ function renderScene(batchId, scene) {
   idDiv.textContent = `${shortId}...`;
   sceneInfo.appendChild(idDiv);
 
+  // Show which Whisparr server the scene was sent to
+  if (scene.serverName) {
+    const serverSpan = document.createElement('span');
+    serverSpan.className = 'scene-server';
+    serverSpan.textContent = scene.serverName;
+    serverSpan.title = 'Whisparr server';
+    idDiv.appendChild(serverSpan);
+  }
+
+  // Show what kind of failure it was and how many attempts were made
+  if (scene.errorKind && (scene.status === 'error' || scene.status === 'adding')) {
+    const kindSpan = document.createElement('span');
+    kindSpan.className = `scene-error-kind ${scene.errorKind}`;
+    kindSpan.textContent = getErrorKindLabel(scene.errorKind);
+    if (scene.attempts > 1) {
+      kindSpan.textContent += ` \u00b7 ${scene.attempts} attempts`;
+    }
+    idDiv.appendChild(kindSpan);
+  }
+
+  // List each field Whisparr rejected
+  if (scene.status === 'error' && scene.validationErrors?.length > 0) {
+    const detailsDiv = document.createElement('div');
+    detailsDiv.className = 'scene-validation';
+    scene.validationErrors.forEach(({ field, message }) => {
+      const line = document.createElement('div');
+      if (field) {
+        const fieldSpan = document.createElement('span');
+        fieldSpan.className = 'scene-validation-field';
+        fieldSpan.textContent = `${field}: `;
+        line.appendChild(fieldSpan);
+      }
+      line.appendChild(document.createTextNode(message));
+      detailsDiv.appendChild(line);
+    });
+    sceneInfo.appendChild(detailsDiv);
+  }
+
+  // Show the always-allow exception that overrode the other filters
+  if (scene.allowedBy) {
+    const exceptionDiv = document.createElement('div');
+    exceptionDiv.className = 'scene-exception';
+    exceptionDiv.textContent = scene.allowedBy;
+    exceptionDiv.title = 'Filter exception that let this scene through';
+    sceneInfo.appendChild(exceptionDiv);
+  }
+
   sceneEl.appendChild(sceneInfo);
 
   const badge = document.createElement('span');
   badge.className = `status-badge ${scene.status}`;
-  badge.textContent = getStatusLabel(scene.status);
+  if (scene.status === 'adding' && scene.attempts > 1) {
+    badge.textContent = `Retry ${scene.attempts}...`;
+  } else if (scene.status === 'downloading' && scene.downloadProgress != null) {
+    badge.textContent = `${getStatusLabel(scene.status)} ${scene.downloadProgress}%`;
+  } else {
+    badge.textContent = getStatusLabel(scene.status);
+  }
   
   // Add native title tooltip for error/filter reasons
   if (scene.error) {
@@ -283,16 +517,41 @@ function renderScene(batchId, scene) {
     sceneEl.appendChild(undoBtn);
   }
 
+  if (scene.status === 'excluded') {
+    const unexcludeBtn = document.createElement('button');
+    unexcludeBtn.className = 'scene-unexclude';
+    unexcludeBtn.dataset.batchId = batchId;
+    unexcludeBtn.dataset.sceneId = scene.stashId;
+    unexcludeBtn.textContent = 'Remove exclusion and add';
+    unexcludeBtn.title = 'Delete the Whisparr import exclusion, then add the scene';
+    sceneEl.appendChild(unexcludeBtn);
+  }
+
   return sceneEl;
 }
 
+// Statuses of scenes that made it into Whisparr
+const SUCCESS_STATUSES = ['added', 'searched', 'upgrade-searched', 'search-grabbed', 'search-empty', 'search-unknown', 'upgrade-grabbed', 'upgrade-empty', 'upgrade-unknown', 'exists', 'grabbed', 'downloading', 'imported'];
+
+// Statuses of scenes "Retry" and "Retry all" add again (same as the background's retryAllFailed)
+const RETRYABLE_STATUSES = ['error', 'search-failed', 'upgrade-failed'];
+
+// Statuses of scenes the extension put in Whisparr (and can remove again)
+const UNDOABLE_STATUSES = [
+  'added', 'searched', 'search-grabbed', 'search-empty', 'search-failed', 'search-unknown',
+  'grabbed', 'downloading', 'imported', 'import-failed'
+];
+
 function getStats(scenes) {
   return {
-    success: scenes.filter(s => ['added', 'searched', 'exists'].includes(s.status)).length,
-    error: scenes.filter(s => s.status === 'error').length,
+    success: scenes.filter(s => SUCCESS_STATUSES.includes(s.status)).length,
+    error: scenes.filter(s => ['error', 'search-failed', 'upgrade-failed', 'import-failed'].includes(s.status)).length,
     filtered: scenes.filter(s => s.status === 'filtered').length,
     pending: scenes.filter(s => ['waiting', 'adding'].includes(s.status)).length,
+    held: scenes.filter(s => s.status === 'held').length,
     cancelled: scenes.filter(s => s.status === 'cancelled').length,
+    interrupted: scenes.filter(s => s.status === 'interrupted').length,
+    excluded: scenes.filter(s => s.status === 'excluded').length,
     removed: scenes.filter(s => s.status === 'removed').length
   };
 }
@@ -303,16 +562,68 @@ function getStatusLabel(status) {
     adding: 'Adding...',
     added: 'Added',
     searched: 'Searched',
+    'search-grabbed': 'Grabbed',
+    'search-empty': 'Not Found',
+    'search-failed': 'Search Failed',
+    'search-unknown': 'Search Unknown',
+    'upgrade-searched': 'Upgrade Search',
+    'upgrade-grabbed': 'Upgrade Grabbed',
+    'upgrade-empty': 'No Upgrade',
+    'upgrade-failed': 'Upgrade Failed',
+    'upgrade-unknown': 'Upgrade Unknown',
+    grabbed: 'Grabbed',
+    downloading: 'Downloading',
+    imported: 'Imported',
+    'import-failed': 'Import Failed',
     exists: 'Exists',
     error: 'Error',
     filtered: 'Filtered',
     cancelled: 'Cancelled',
+    interrupted: 'Interrupted',
+    excluded: 'Excluded',
+    held: 'Held',
     removing: 'Removing...',
     removed: 'Removed'
   };
   return labels[status] || status;
 }
 
+function getMonitorStatusLabel(status) {
+  const labels = {
+    adding: 'Adding...',
+    added: 'Added',
+    monitored: 'Monitored',
+    'already-monitored': 'Already Monitored',
+    error: 'Error'
+  };
+  return labels[status] || status;
+}
+
+function getErrorKindLabel(kind) {
+  const labels = {
+    network: 'Unreachable',
+    auth: 'Auth',
+    'not-found': 'Not found',
+    'rate-limited': 'Rate limited',
+    server: 'Server error',
+    validation: 'Validation',
+    incompatible: 'API mismatch',
+    config: 'Not configured'
+  };
+  return labels[kind] || 'Error';
+}
+
+function formatOverrides(overrides) {
+  const monitorLabels = { movieOnly: 'Scene only', movieAndCollection: 'Scene and collection', none: 'None' };
+  return [
+    `Root folder: ${overrides.rootFolderPath}`,
+    `Quality profile ID: ${overrides.qualityProfileId}`,
+    `Monitor: ${monitorLabels[overrides.monitor] || overrides.monitor}`,
+    `Monitored: ${overrides.monitored ? 'Yes' : 'No'}`,
+    `Search on add: ${overrides.searchForMovie ? 'Yes' : 'No'}`
+  ].join('\n');
+}
+
 function formatTime(timestamp) {
   const date = new Date(timestamp);
   const now = new Date();
@@ -333,11 +644,11 @@ function formatTime(timestamp) {
 }
 
 function attachBatchEventListeners() {
-  // Batch header toggle (but not when clicking cancel button)
+  // Batch header toggle (but not when clicking the header buttons)
   document.querySelectorAll('.batch-header').forEach(header => {
     header.addEventListener('click', (e) => {
-      // Don't toggle if clicking cancel button
-      if (e.target.classList.contains('batch-cancel')) return;
+      // Don't toggle if clicking a header button
+      if (['batch-cancel', 'batch-resume', 'batch-undo'].some(c => e.target.classList.contains(c))) return;
       
       const batchEl = header.closest('.batch');
       const batchId = batchEl.dataset.batchId;
@@ -373,6 +684,60 @@ function attachBatchEventListeners() {
     });
   });
 
+  // Batch undo buttons
+  document.querySelectorAll('.batch-undo').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const batchId = btn.dataset.batchId;
+      
+      const undoOptions = await askUndoOptions(`Remove ${btn.dataset.count} scenes from Whisparr`);
+      if (!undoOptions) return;
+      
+      btn.disabled = true;
+      btn.textContent = 'Undoing...';
+      
+      try {
+        const response = await browser.runtime.sendMessage({
+          action: 'undoBatch',
+          batchId,
+          undoOptions
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Undo failed');
+        }
+      } catch (error) {
+        console.error('[Popup] Batch undo failed:', error);
+        btn.disabled = false;
+        btn.textContent = 'Undo';
+      }
+    });
+  });
+
+  // Batch resume buttons
+  document.querySelectorAll('.batch-resume').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const batchId = btn.dataset.batchId;
+      
+      btn.disabled = true;
+      btn.textContent = 'Resuming...';
+      
+      try {
+        const response = await browser.runtime.sendMessage({
+          action: 'resumeBatch',
+          batchId
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Resume failed');
+        }
+      } catch (error) {
+        console.error('[Popup] Resume failed:', error);
+        btn.disabled = false;
+        btn.textContent = 'Resume';
+      }
+    });
+  });
+
   // Individual scene retry buttons
   document.querySelectorAll('.scene-retry').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -397,6 +762,34 @@ function attachBatchEventListeners() {
     });
   });
 
+  // Remove exclusion and add buttons
+  document.querySelectorAll('.scene-unexclude').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const batchId = btn.dataset.batchId;
+      const sceneId = btn.dataset.sceneId;
+      
+      btn.disabled = true;
+      btn.textContent = '...';
+      
+      try {
+        const response = await browser.runtime.sendMessage({
+          action: 'removeExclusionAndAdd',
+          batchId,
+          sceneId
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Removing the exclusion failed');
+        }
+      } catch (error) {
+        console.error('[Popup] Remove exclusion failed:', error);
+        btn.disabled = false;
+        btn.textContent = 'Remove exclusion and add';
+        btn.title = error.message;
+      }
+    });
+  });
+
   // Individual scene undo buttons
   document.querySelectorAll('.scene-undo').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -404,6 +797,9 @@ function attachBatchEventListeners() {
       const batchId = btn.dataset.batchId;
       const sceneId = btn.dataset.sceneId;
       
+      const undoOptions = await askUndoOptions('Remove scene from Whisparr');
+      if (!undoOptions) return;
+      
       btn.disabled = true;
       btn.textContent = '...';
       
@@ -411,7 +807,8 @@ function attachBatchEventListeners() {
         await browser.runtime.sendMessage({
           action: 'undoScene',
           batchId,
-          sceneId
+          sceneId,
+          undoOptions
         });
       } catch (error) {
         console.error('[Popup] Undo failed:', error);
@@ -436,6 +833,52 @@ retryAllBtn.addEventListener('click', async () => {
   retryAllBtn.textContent = 'Retry All Failed';
 });
 
+// ============================================
+// Undo Options Dialog
+// ============================================
+
+/**
+ * Ask how to undo: delete files and/or add an import exclusion
+ * The last choice is remembered for next time
+ * @param {string} title - Dialog title
+ * @returns {Promise<Object|null>} { deleteFiles, addImportExclusion }, or null if cancelled
+ */
+async function askUndoOptions(title) {
+  const { undoOptions } = await browser.storage.local.get({
+    undoOptions: { deleteFiles: false, addImportExclusion: false }
+  });
+  
+  undoDialogTitle.textContent = title;
+  undoDeleteFiles.checked = undoOptions.deleteFiles;
+  undoAddExclusion.checked = undoOptions.addImportExclusion;
+  undoDialog.style.display = 'flex';
+  
+  return new Promise(resolve => {
+    const close = async (confirmed) => {
+      undoDialog.style.display = 'none';
+      undoConfirmBtn.removeEventListener('click', onConfirm);
+      undoCancelBtn.removeEventListener('click', onCancel);
+      
+      if (!confirmed) {
+        resolve(null);
+        return;
+      }
+      
+      const chosen = {
+        deleteFiles: undoDeleteFiles.checked,
+        addImportExclusion: undoAddExclusion.checked
+      };
+      await browser.storage.local.set({ undoOptions: chosen });
+      resolve(chosen);
+    };
+    const onConfirm = () => close(true);
+    const onCancel = () => close(false);
+    
+    undoConfirmBtn.addEventListener('click', onConfirm);
+    undoCancelBtn.addEventListener('click', onCancel);
+  });
+}
+
 // Clear all batches
 clearAllBtn.addEventListener('click', async () => {
   try {
@@ -454,56 +897,172 @@ clearAllBtn.addEventListener('click', async () => {
 const filterList = document.getElementById('filterList');
 const filterEmpty = document.getElementById('filterEmpty');
 const addFilterBtn = document.getElementById('addFilterBtn');
+const addGroupBtn = document.getElementById('addGroupBtn');
+
+const FILTER_TYPE_LABELS = {
+  studio: 'Studio',
+  performer: 'Performer',
+  name: 'Name',
+  tag: 'Tag',
+  released: 'Released',
+  duration: 'Duration',
+  performerCount: 'Performer count'
+};
+
+// Filter modes in the order the mode button cycles through them
+const FILTER_MODES = ['blocklist', 'allowlist', 'alwaysAllow'];
+
+const FILTER_MODE_LABELS = {
+  blocklist: 'Block',
+  allowlist: 'Allow',
+  alwaysAllow: 'Always'
+};
+
+// Range filter types: input type and unit for their min/max inputs
+const RANGE_FILTER_INPUTS = {
+  released: { inputType: 'date', unit: null, minLabel: 'After', maxLabel: 'Before' },
+  duration: { inputType: 'number', unit: 'min', minLabel: 'Min', maxLabel: 'Max' },
+  performerCount: { inputType: 'number', unit: null, minLabel: 'Min', maxLabel: 'Max' }
+};
 
 async function loadFilters() {
   try {
     const response = await browser.runtime.sendMessage({ action: 'getFilters' });
-    filters = response?.filters || [];
+    filters = response?.filters || null;
     renderFilters();
   } catch (error) {
     console.error('[Popup] Error loading filters:', error);
   }
 }
 
+// Every filter (not group) in a group and its nested groups
+function collectFilters(group) {
+  return group.children.flatMap(child => child.type === 'group' ? collectFilters(child) : [child]);
+}
+
 function renderFilters() {
-  // Ensure filters is an array
-  if (!Array.isArray(filters)) {
-    filters = [];
+  // Ensure filters is a group
+  if (filters?.type !== 'group') {
+    filters = { id: 'root', type: 'group', combinator: 'and', enabled: true, children: [] };
   }
   
   // Update filter badge in tab bar
-  const enabledCount = filters.filter(f => f.enabled).length;
-  if (filters.length > 0) {
+  const allFilters = collectFilters(filters);
+  const enabledCount = allFilters.filter(f => f.enabled).length;
+  if (allFilters.length > 0) {
     filterBadge.textContent = enabledCount;
     filterBadge.style.display = 'inline';
   } else {
     filterBadge.style.display = 'none';
   }
   
+  // Remove all filter cards and groups
+  filterList.querySelectorAll('.filter-node').forEach(node => node.remove());
+  
   // Show/hide empty state
-  if (filters.length === 0) {
+  if (filters.children.length === 0) {
     filterEmpty.style.display = 'block';
-    // Remove all filter cards
-    filterList.querySelectorAll('.filter-card').forEach(card => card.remove());
+    runFilterBench();
     return;
   }
   
   filterEmpty.style.display = 'none';
+  filterList.appendChild(renderFilterChildren(filters));
   
-  // Render filter cards
+  // Saved changes can change the test bench's verdicts
+  runFilterBench();
+}
+
+// Render a group's children, joined by its AND/OR combinator (click to switch)
+function renderFilterChildren(group) {
   const fragment = document.createDocumentFragment();
-  filters.forEach(filter => {
-    fragment.appendChild(renderFilterCard(filter));
+  
+  group.children.forEach((child, index) => {
+    if (index > 0) {
+      const joiner = document.createElement('button');
+      joiner.className = `filter-joiner filter-node${group.combinator === 'or' ? ' or' : ''}`;
+      joiner.textContent = group.combinator === 'or' ? 'OR' : 'AND';
+      joiner.title = 'Switch between AND and OR for this group';
+      joiner.addEventListener('click', () => {
+        updateFilter(group.id, { combinator: group.combinator === 'or' ? 'and' : 'or' });
+      });
+      fragment.appendChild(joiner);
+    }
+    fragment.appendChild(child.type === 'group' ? renderFilterGroup(child) : renderFilterCard(child));
   });
   
-  // Replace existing cards
-  filterList.querySelectorAll('.filter-card').forEach(card => card.remove());
-  filterList.appendChild(fragment);
+  return fragment;
+}
+
+// Enable/Disable toggle shared by filter cards and groups
+function renderFilterToggle(node) {
+  const toggle = document.createElement('label');
+  toggle.className = 'filter-toggle';
+  const toggleInput = document.createElement('input');
+  toggleInput.type = 'checkbox';
+  toggleInput.checked = node.enabled;
+  toggleInput.addEventListener('change', () => toggleFilter(node.id));
+  toggle.appendChild(toggleInput);
+  const toggleSlider = document.createElement('span');
+  toggleSlider.className = 'filter-toggle-slider';
+  toggle.appendChild(toggleSlider);
+  return toggle;
+}
+
+function renderFilterGroup(group) {
+  const box = document.createElement('div');
+  box.className = `filter-group filter-node${group.enabled ? '' : ' disabled'}`;
+  box.dataset.filterId = group.id;
+  
+  // Header row: Toggle, Combinator, Add buttons, Delete button
+  const header = document.createElement('div');
+  header.className = 'filter-card-header';
+  header.appendChild(renderFilterToggle(group));
+  
+  const label = document.createElement('span');
+  label.className = 'filter-group-label';
+  label.textContent = group.combinator === 'or' ? 'Any of' : 'All of';
+  header.appendChild(label);
+  
+  const addFilterToGroupBtn = document.createElement('button');
+  addFilterToGroupBtn.className = 'filter-group-add';
+  addFilterToGroupBtn.textContent = '+ Filter';
+  addFilterToGroupBtn.addEventListener('click', () => addNewFilter(group.id));
+  header.appendChild(addFilterToGroupBtn);
+  
+  const addGroupToGroupBtn = document.createElement('button');
+  addGroupToGroupBtn.className = 'filter-group-add';
+  addGroupToGroupBtn.textContent = '+ Group';
+  addGroupToGroupBtn.addEventListener('click', () => addNewFilterGroup(group.id));
+  header.appendChild(addGroupToGroupBtn);
+  
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'filter-delete-btn';
+  deleteBtn.innerHTML = '&times;';
+  deleteBtn.title = 'Delete group and its filters';
+  deleteBtn.addEventListener('click', () => deleteFilter(group.id));
+  header.appendChild(deleteBtn);
+  
+  box.appendChild(header);
+  
+  const body = document.createElement('div');
+  body.className = 'filter-group-body';
+  if (group.children.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'filter-group-empty';
+    empty.textContent = 'Empty group - add a filter or a nested group';
+    body.appendChild(empty);
+  } else {
+    body.appendChild(renderFilterChildren(group));
+  }
+  box.appendChild(body);
+  
+  return box;
 }
 
 function renderFilterCard(filter) {
   const card = document.createElement('div');
-  card.className = `filter-card${filter.enabled ? '' : ' disabled'}`;
+  card.className = `filter-card filter-node${filter.enabled ? '' : ' disabled'}`;
   card.dataset.filterId = filter.id;
   
   // Header row: Toggle, Type dropdown, Mode button, Delete button
@@ -511,37 +1070,37 @@ function renderFilterCard(filter) {
   header.className = 'filter-card-header';
   
   // Enable/Disable toggle
-  const toggle = document.createElement('label');
-  toggle.className = 'filter-toggle';
-  const toggleInput = document.createElement('input');
-  toggleInput.type = 'checkbox';
-  toggleInput.checked = filter.enabled;
-  toggleInput.addEventListener('change', () => toggleFilter(filter.id));
-  toggle.appendChild(toggleInput);
-  const toggleSlider = document.createElement('span');
-  toggleSlider.className = 'filter-toggle-slider';
-  toggle.appendChild(toggleSlider);
-  header.appendChild(toggle);
+  header.appendChild(renderFilterToggle(filter));
   
   // Type dropdown
   const typeSelect = document.createElement('select');
   typeSelect.className = 'filter-type-select';
-  ['studio', 'performer', 'name', 'tag'].forEach(type => {
+  Object.entries(FILTER_TYPE_LABELS).forEach(([type, label]) => {
     const option = document.createElement('option');
     option.value = type;
-    option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+    option.textContent = label;
     if (filter.type === type) option.selected = true;
     typeSelect.appendChild(option);
   });
-  typeSelect.addEventListener('change', () => updateFilter(filter.id, { type: typeSelect.value }));
+  typeSelect.addEventListener('change', () => {
+    const updates = { type: typeSelect.value };
+    if (RANGE_FILTER_INPUTS[updates.type] && filter.mode === 'alwaysAllow') {
+      updates.mode = 'blocklist';
+    }
+    updateFilter(filter.id, updates);
+  });
   header.appendChild(typeSelect);
   
-  // Mode button (Block/Allow toggle)
+  // Mode button (cycles Block -> Allow -> Always; range filters can't be exceptions)
+  const modes = RANGE_FILTER_INPUTS[filter.type] ? ['blocklist', 'allowlist'] : FILTER_MODES;
   const modeBtn = document.createElement('button');
-  modeBtn.className = `filter-mode-btn${filter.mode === 'allowlist' ? ' allowlist' : ''}`;
-  modeBtn.textContent = filter.mode === 'allowlist' ? 'Allow' : 'Block';
+  modeBtn.className = `filter-mode-btn ${filter.mode}`;
+  modeBtn.textContent = FILTER_MODE_LABELS[filter.mode] || FILTER_MODE_LABELS.blocklist;
+  if (filter.mode === 'alwaysAllow') {
+    modeBtn.title = 'Exception: a match adds the scene even if other filters would block it';
+  }
   modeBtn.addEventListener('click', () => {
-    const newMode = filter.mode === 'blocklist' ? 'allowlist' : 'blocklist';
+    const newMode = modes[(modes.indexOf(filter.mode) + 1) % modes.length];
     updateFilter(filter.id, { mode: newMode });
   });
   header.appendChild(modeBtn);
@@ -556,7 +1115,13 @@ function renderFilterCard(filter) {
   
   card.appendChild(header);
   
-  // Body row: Regex input
+  card.appendChild(RANGE_FILTER_INPUTS[filter.type] ? renderRangeFilterBody(filter) : renderRegexFilterBody(filter));
+  
+  return card;
+}
+
+// Body row for regex filters: pattern input
+function renderRegexFilterBody(filter) {
   const body = document.createElement('div');
   body.className = 'filter-card-body';
   
@@ -597,9 +1162,43 @@ function renderFilterCard(filter) {
   regexIndicator.title = 'Regex pattern';
   body.appendChild(regexIndicator);
   
-  card.appendChild(body);
+  return body;
+}
+
+// Body row for range filters: min and max inputs (either may be left empty)
+function renderRangeFilterBody(filter) {
+  const { inputType, unit, minLabel, maxLabel } = RANGE_FILTER_INPUTS[filter.type];
+  const body = document.createElement('div');
+  body.className = 'filter-card-body';
   
-  return card;
+  [['min', minLabel], ['max', maxLabel]].forEach(([bound, label]) => {
+    const input = document.createElement('input');
+    input.type = inputType;
+    input.className = 'filter-value-input filter-range-input';
+    input.placeholder = label;
+    input.title = label;
+    input.value = filter[bound] ?? '';
+    input.dataset.bound = bound;
+    if (inputType === 'number') {
+      input.min = '0';
+    }
+    
+    input.addEventListener('change', () => {
+      if (input.value !== (filter[bound] ?? '')) {
+        updateFilter(filter.id, { [bound]: input.value });
+      }
+    });
+    body.appendChild(input);
+  });
+  
+  if (unit) {
+    const unitIndicator = document.createElement('span');
+    unitIndicator.className = 'regex-indicator';
+    unitIndicator.textContent = unit;
+    body.appendChild(unitIndicator);
+  }
+  
+  return body;
 }
 
 function validateRegex(pattern) {
@@ -614,17 +1213,20 @@ function validateRegex(pattern) {
 
 function initFilterEventListeners() {
   // Add filter button
-  addFilterBtn.addEventListener('click', addNewFilter);
+  addFilterBtn.addEventListener('click', () => addNewFilter());
+  addGroupBtn.addEventListener('click', () => addNewFilterGroup());
+  
+  initFilterBench();
   
   // Reset filters button
   resetFiltersBtn.addEventListener('click', async () => {
-    if (filters.length === 0) return;
+    if (!filters || filters.children.length === 0) return;
     
     if (confirm('Delete all filters?')) {
       try {
         const response = await browser.runtime.sendMessage({ action: 'resetFilters' });
         if (response?.success) {
-          filters = response.filters || [];
+          filters = response.filters || null;
           renderFilters();
         }
       } catch (error) {
@@ -634,9 +1236,9 @@ function initFilterEventListeners() {
   });
 }
 
-async function addNewFilter() {
+async function addNewFilter(parentId = null) {
   try {
-    const response = await browser.runtime.sendMessage({ action: 'addFilter' });
+    const response = await browser.runtime.sendMessage({ action: 'addFilter', parentId });
     if (response?.success && response.filters) {
       filters = response.filters;
       renderFilters();
@@ -655,6 +1257,18 @@ async function addNewFilter() {
   }
 }
 
+async function addNewFilterGroup(parentId = null) {
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'addFilterGroup', parentId });
+    if (response?.success && response.filters) {
+      filters = response.filters;
+      renderFilters();
+    }
+  } catch (error) {
+    console.error('[Popup] Error adding filter group:', error);
+  }
+}
+
 async function updateFilter(filterId, updates) {
   try {
     const response = await browser.runtime.sendMessage({
@@ -703,3 +1317,198 @@ async function deleteFilter(filterId) {
     console.error('[Popup] Error deleting filter:', error);
   }
 }
+
+// ============================================
+// Filter Test Bench
+// ============================================
+
+const benchTabBtn = document.getElementById('benchTabBtn');
+const benchPasteBtn = document.getElementById('benchPasteBtn');
+const benchInput = document.getElementById('benchInput');
+const benchSummary = document.getElementById('benchSummary');
+const benchResults = document.getElementById('benchResults');
+
+// How long to wait after typing in a filter before re-testing
+const BENCH_RETEST_DELAY_MS = 300;
+
+let benchScenes = [];
+let benchFromTab = false;  // Tab scenes get the same StashDB metadata a real add would use
+let benchRetestTimer = null;
+
+function initFilterBench() {
+  benchTabBtn.addEventListener('click', loadBenchScenesFromTab);
+  benchPasteBtn.addEventListener('click', loadBenchScenesFromInput);
+  
+  // Re-test while a pattern or bound is being typed, before it is saved
+  filterList.addEventListener('input', () => {
+    clearTimeout(benchRetestTimer);
+    benchRetestTimer = setTimeout(runFilterBench, BENCH_RETEST_DELAY_MS);
+  });
+}
+
+function setBenchSummary(text, isError = false) {
+  benchSummary.textContent = text;
+  benchSummary.classList.toggle('error', isError);
+}
+
+async function loadBenchScenesFromTab() {
+  try {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!tab) throw new Error('No active tab');
+    
+    let { scenes } = await browser.tabs.sendMessage(tab.id, { action: 'getAllScenesWithMetadata' });
+    // Scene detail pages have no scene cards
+    if (!scenes?.length) {
+      const { metadata } = await browser.tabs.sendMessage(tab.id, { action: 'getCurrentSceneMetadata' });
+      scenes = metadata ? [metadata] : [];
+    }
+    
+    if (scenes.length === 0) {
+      setBenchSummary('No scenes found on the active tab', true);
+      return;
+    }
+    benchScenes = scenes;
+    benchFromTab = true;
+    runFilterBench();
+  } catch (error) {
+    console.error('[Popup] Error reading scenes from tab:', error);
+    setBenchSummary('Open a StashDB page with scenes in the active tab', true);
+  }
+}
+
+// Parse pasted metadata: one scene object or an array of them (duration in seconds)
+function parseBenchInput(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+  
+  return list.map((scene, index) => {
+    if (!scene || typeof scene !== 'object') {
+      throw new Error(`Scene ${index + 1} is not an object`);
+    }
+    return {
+      stashId: scene.stashId || `pasted-${index + 1}`,
+      title: scene.title || '',
+      studio: scene.studio || '',
+      performers: [].concat(scene.performers || []),
+      tags: [].concat(scene.tags || []),
+      date: scene.date || null,
+      duration: scene.duration ?? null
+    };
+  });
+}
+
+function loadBenchScenesFromInput() {
+  benchInput.classList.remove('invalid');
+  if (!benchInput.value.trim()) {
+    setBenchSummary('Paste scene metadata first', true);
+    return;
+  }
+  
+  try {
+    benchScenes = parseBenchInput(benchInput.value);
+  } catch (error) {
+    benchInput.classList.add('invalid');
+    setBenchSummary(`Invalid metadata: ${error.message}`, true);
+    return;
+  }
+  benchFromTab = false;
+  runFilterBench();
+}
+
+// The current filter tree, with patterns and bounds that are typed but not yet saved
+function getDraftFilters() {
+  const draft = JSON.parse(JSON.stringify(filters));
+  const draftFilters = new Map(collectFilters(draft).map(filter => [filter.id, filter]));
+  
+  filterList.querySelectorAll('.filter-card').forEach(card => {
+    const filter = draftFilters.get(card.dataset.filterId);
+    if (!filter) return;
+    card.querySelectorAll('.filter-value-input').forEach(input => {
+      filter[input.dataset.bound || 'value'] = input.value;
+    });
+  });
+  
+  return draft;
+}
+
+// Evaluate the loaded scenes against the draft filters - nothing is sent to Whisparr
+async function runFilterBench() {
+  clearTimeout(benchRetestTimer);
+  if (benchScenes.length === 0 || !filters) return;
+  
+  try {
+    const response = await browser.runtime.sendMessage({
+      action: 'testFilters',
+      scenes: benchScenes,
+      filters: getDraftFilters(),
+      enrich: benchFromTab
+    });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Filter test failed');
+    }
+    renderBenchResults(response.results);
+  } catch (error) {
+    console.error('[Popup] Error testing filters:', error);
+    setBenchSummary(error.message, true);
+  }
+}
+
+function renderBenchResults(results) {
+  const passed = results.filter(r => r.shouldAdd).length;
+  setBenchSummary(`${passed} of ${results.length} scenes would be added, ${results.length - passed} filtered`);
+  
+  benchResults.replaceChildren();
+  results.forEach(result => {
+    // The filter (or nested group) that decided the verdict, if any
+    let decidingId = result.filterId || result.filterPath[result.filterPath.length - 1] || null;
+    if (decidingId === filters.id) decidingId = null;
+    
+    const row = document.createElement('div');
+    row.className = `bench-result${result.shouldAdd ? '' : ' fail'}${decidingId ? ' decided' : ''}`;
+    
+    const verdict = document.createElement('span');
+    verdict.className = 'bench-result-verdict';
+    verdict.textContent = result.shouldAdd ? 'ADD' : 'SKIP';
+    row.appendChild(verdict);
+    
+    const info = document.createElement('div');
+    info.className = 'bench-result-info';
+    
+    const title = document.createElement('div');
+    title.className = 'bench-result-title';
+    title.textContent = result.title || result.stashId;
+    const { studio, performers } = result.metadata;
+    title.title = [studio, performers.join(', ')].filter(Boolean).join(' \u2014 ');
+    info.appendChild(title);
+    
+    const reason = document.createElement('div');
+    reason.className = 'bench-result-reason';
+    if (result.allowedBy) {
+      reason.textContent = result.allowedBy;
+    } else if (!result.shouldAdd) {
+      reason.textContent = result.reason;
+    } else {
+      reason.textContent = result.filterPath.length > 0 ? 'Passed filters' : 'No filters apply';
+    }
+    info.appendChild(reason);
+    row.appendChild(info);
+    
+    if (decidingId) {
+      row.title = 'Hover to highlight the deciding filter, click to scroll to it';
+      row.addEventListener('mouseenter', () => highlightBenchFilter(decidingId));
+      row.addEventListener('mouseleave', () => highlightBenchFilter(null));
+      row.addEventListener('click', () => {
+        filterList.querySelector(`[data-filter-id="${decidingId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      });
+    }
+    
+    benchResults.appendChild(row);
+  });
+}
+
+function highlightBenchFilter(filterId) {
+  filterList.querySelectorAll('.bench-highlight').forEach(node => node.classList.remove('bench-highlight'));
+  if (filterId) {
+    filterList.querySelector(`[data-filter-id="${filterId}"]`)?.classList.add('bench-highlight');
+  }
+}
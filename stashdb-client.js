@@ -0,0 +1,266 @@
+// StashDB to Whisparr - StashDB GraphQL Client
+// Loaded before background.js. Fetches scene metadata by StashDB ID from a stash-box
+// GraphQL endpoint, batching lookups into aliased queries and caching the results.
+
+// ============================================
+// Settings
+// ============================================
+
+const DEFAULT_STASHDB_ENDPOINT = "https://stashdb.org/graphql";
+
+// Stored in sync storage, edited on the options page
+const defaultStashDBSettings = {
+  stashdbApiKey: "",
+  stashdbEndpoint: DEFAULT_STASHDB_ENDPOINT
+};
+
+// Scenes per GraphQL request, and how long lookups wait for more IDs before one is sent
+const STASHDB_BATCH_SIZE = 25;
+const STASHDB_BATCH_DELAY_MS = 50;
+
+// How long fetched metadata stays cached, and how many scenes are kept at most
+const STASHDB_CACHE_TTL_MS = 60 * 60 * 1000;
+const STASHDB_CACHE_MAX_ENTRIES = 500;
+
+// Scene fields the filters, routing rules and tag rules use
+const STASHDB_SCENE_FIELDS = `
+  id
+  title
+  release_date
+  duration
+  studio { name }
+  performers { performer { name } }
+  tags { name }
+`;
+
+async function getStashDBSettings() {
+  const settings = await browser.storage.sync.get(defaultStashDBSettings);
+  return {
+    apiKey: (settings.stashdbApiKey || "").trim(),
+    endpoint: (settings.stashdbEndpoint || "").trim() || DEFAULT_STASHDB_ENDPOINT
+  };
+}
+
+// ============================================
+// Scene Lookups
+// ============================================
+
+// Cached lookups: stashId -> { promise, fetchedAt } (promise resolves to metadata or null)
+const stashdbSceneCache = new Map();
+
+// Lookups waiting to be sent: stashId -> { resolve, reject }
+const pendingStashDBLookups = new Map();
+let stashdbFlushTimer = null;
+
+// A different key or endpoint can return different data
+browser.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && (changes.stashdbApiKey || changes.stashdbEndpoint)) {
+    stashdbSceneCache.clear();
+  }
+});
+
+/**
+ * Convert a stash-box scene into the extension's scene metadata format
+ * @param {Object} scene - Scene from the GraphQL response
+ * @returns {Object} { stashId, title, studio, performers, tags, date, duration }
+ */
+function normalizeStashDBScene(scene) {
+  return {
+    stashId: scene.id,
+    title: scene.title || '',
+    studio: scene.studio?.name || '',
+    performers: (scene.performers || []).map(p => p.performer?.name).filter(Boolean),
+    tags: (scene.tags || []).map(t => t.name).filter(Boolean),
+    date: scene.release_date || null,
+    duration: scene.duration ?? null
+  };
+}
+
+/**
+ * Fetch several scenes in one request, one aliased findScene field per ID
+ * @param {Array<string>} stashIds - StashDB scene IDs
+ * @param {Object} stashdb - { apiKey, endpoint } from getStashDBSettings()
+ * @returns {Promise<Array<Object|null>>} Metadata per ID, null for scenes StashDB doesn't have
+ */
+async function queryStashDBScenes(stashIds, stashdb) {
+  const variables = {};
+  const params = [];
+  const fields = [];
+  stashIds.forEach((stashId, i) => {
+    variables[`id${i}`] = stashId;
+    params.push(`$id${i}: ID!`);
+    fields.push(`  s${i}: findScene(id: $id${i}) { ...SceneFields }`);
+  });
+  const query = `query FindScenes(${params.join(", ")}) {\n${fields.join("\n")}\n}\n` +
+    `fragment SceneFields on Scene {${STASHDB_SCENE_FIELDS}}`;
+
+  let response;
+  try {
+    response = await fetch(stashdb.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "ApiKey": stashdb.apiKey },
+      body: JSON.stringify({ query, variables })
+    });
+  } catch (error) {
+    throw new Error(`StashDB unreachable: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`StashDB request failed: ${response.status}`);
+  }
+
+  const body = await response.json();
+  const errors = (body.errors || []).map(e => e.message).join("; ");
+  if (!body.data) {
+    throw new Error(`StashDB query failed: ${errors || "no data"}`);
+  }
+  if (errors) {
+    // Partial results - the scenes that errored come back as null
+    console.warn("[StashDB-Whisparr] StashDB query returned errors:", errors);
+  }
+
+  return stashIds.map((stashId, i) => body.data[`s${i}`] ? normalizeStashDBScene(body.data[`s${i}`]) : null);
+}
+
+// Send every waiting lookup, in chunks of STASHDB_BATCH_SIZE
+async function flushStashDBLookups() {
+  stashdbFlushTimer = null;
+  const lookups = new Map(pendingStashDBLookups);
+  pendingStashDBLookups.clear();
+
+  const stashIds = Array.from(lookups.keys());
+  let stashdb;
+  try {
+    stashdb = await getStashDBSettings();
+  } catch (error) {
+    lookups.forEach(({ reject }) => reject(error));
+    return;
+  }
+
+  for (let i = 0; i < stashIds.length; i += STASHDB_BATCH_SIZE) {
+    const chunk = stashIds.slice(i, i + STASHDB_BATCH_SIZE);
+    try {
+      const results = await queryStashDBScenes(chunk, stashdb);
+      chunk.forEach((stashId, j) => lookups.get(stashId).resolve(results[j]));
+    } catch (error) {
+      chunk.forEach(stashId => lookups.get(stashId).reject(error));
+    }
+  }
+}
+
+// Drop expired lookups, then the oldest ones while the cache is over its limit
+function pruneStashDBCache() {
+  const now = Date.now();
+  for (const [stashId, cached] of stashdbSceneCache) {
+    if (now - cached.fetchedAt >= STASHDB_CACHE_TTL_MS) {
+      stashdbSceneCache.delete(stashId);
+    }
+  }
+
+  // Maps iterate in insertion order, so the first keys are the oldest
+  for (const stashId of stashdbSceneCache.keys()) {
+    if (stashdbSceneCache.size < STASHDB_CACHE_MAX_ENTRIES) break;
+    stashdbSceneCache.delete(stashId);
+  }
+}
+
+// Get one scene's metadata, joining the next batched request unless it is cached
+function loadStashDBScene(stashId) {
+  const cached = stashdbSceneCache.get(stashId);
+  if (cached && Date.now() - cached.fetchedAt < STASHDB_CACHE_TTL_MS) {
+    return cached.promise;
+  }
+  stashdbSceneCache.delete(stashId);
+  pruneStashDBCache();
+
+  const promise = new Promise((resolve, reject) => {
+    pendingStashDBLookups.set(stashId, { resolve, reject });
+  });
+  if (!stashdbFlushTimer) {
+    stashdbFlushTimer = setTimeout(flushStashDBLookups, STASHDB_BATCH_DELAY_MS);
+  }
+
+  // Don't cache failures (unless a newer lookup replaced this one)
+  promise.catch(() => {
+    if (stashdbSceneCache.get(stashId)?.promise === promise) {
+      stashdbSceneCache.delete(stashId);
+    }
+  });
+  stashdbSceneCache.set(stashId, { promise, fetchedAt: Date.now() });
+  return promise;
+}
+
+/**
+ * Fetch metadata for scenes by StashDB ID
+ * @param {Array<string>} stashIds - StashDB scene IDs
+ * @returns {Promise<Map>} stashId -> metadata (null for scenes StashDB doesn't have)
+ */
+async function fetchStashDBScenes(stashIds) {
+  const unique = Array.from(new Set(stashIds));
+  const results = await Promise.all(unique.map(loadStashDBScene));
+  return new Map(unique.map((stashId, i) => [stashId, results[i]]));
+}
+
+// Whether an API field has a value worth preferring over the scraped one
+function hasStashDBValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Replace scraped scene metadata with StashDB API data when an API key is set
+ * Scenes the API can't provide (or any API failure) keep their scraped metadata, and so do
+ * fields the API leaves empty (e.g. no studio or release date).
+ * @param {Array<Object>} scenes - Scraped metadata, each with a stashId
+ * @returns {Promise<Array<Object>>} Scenes in the same order
+ */
+async function enrichSceneMetadata(scenes) {
+  const stashdb = await getStashDBSettings();
+  if (!stashdb.apiKey || scenes.length === 0) {
+    return scenes;
+  }
+
+  try {
+    const fetched = await fetchStashDBScenes(scenes.map(scene => scene.stashId));
+    console.log("[StashDB-Whisparr] Got StashDB metadata for", Array.from(fetched.values()).filter(Boolean).length, "of", scenes.length, "scenes");
+    return scenes.map(scene => {
+      const metadata = fetched.get(scene.stashId);
+      if (!metadata) {
+        return scene;
+      }
+      const filled = Object.entries(metadata).filter(([, value]) => hasStashDBValue(value));
+      return { ...scene, ...Object.fromEntries(filled), source: 'stashdb' };
+    });
+  } catch (error) {
+    console.warn("[StashDB-Whisparr] StashDB lookup failed, using scraped metadata:", error);
+    return scenes;
+  }
+}
+
+/**
+ * Check an API key and endpoint from the options page with a minimal query
+ * @param {Object} stashdb - { apiKey, endpoint }
+ * @returns {Promise<Object>} { username } of the key's owner, when the server reports it
+ */
+async function testStashDBConnection(stashdb) {
+  let response;
+  try {
+    response = await fetch(stashdb.endpoint || DEFAULT_STASHDB_ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "ApiKey": stashdb.apiKey },
+      body: JSON.stringify({ query: "query { me { name } }" })
+    });
+  } catch (error) {
+    throw new Error(`StashDB unreachable: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`StashDB request failed: ${response.status}`);
+  }
+
+  const body = await response.json();
+  if (body.errors?.length) {
+    throw new Error(body.errors.map(e => e.message).join("; "));
+  }
+  return { username: body.data?.me?.name || null };
+}
@@ -0,0 +1,78 @@
+// StashDB to Whisparr - Local stash-box GraphQL stub
+// Answers the queries stashdb-client.js sends, so StashDB metadata lookups can be
+// tested without a real API key or network access. Not part of the packaged extension.
+//
+// Usage:
+//   make stashdb-stub            (or: node tools/stashdb-stub.js [port])
+//   In the extension options, set GraphQL Endpoint to http://127.0.0.1:4000/graphql
+//   and API Key to any non-empty value, then click "Test API Key".
+//
+// Every request is logged with the number of scenes it asked for, which shows the
+// batching (at most 25 scenes per request) and the cache (no request for scenes
+// looked up within the last hour). Scene IDs starting with "missing" come back as
+// null, like scenes StashDB doesn't have; an empty API key gets an auth error.
+
+const http = require("http");
+
+const port = parseInt(process.argv[2], 10) || 4000;
+
+// A made-up but stable scene for an ID
+function fakeScene(id) {
+  const n = parseInt(id.replace(/[^0-9]/g, "").slice(0, 4), 10) || 1;
+  return {
+    id,
+    title: `Stub Scene ${id.slice(0, 8)}`,
+    release_date: `2020-01-${String((n % 28) + 1).padStart(2, "0")}`,
+    duration: 600 + (n % 50) * 60,
+    studio: { name: "Stub Studio" },
+    performers: [{ performer: { name: "Stub Performer" } }],
+    tags: [{ name: "Stub Tag" }]
+  };
+}
+
+function respond(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    respond(res, 405, { errors: [{ message: "POST a GraphQL query" }] });
+    return;
+  }
+
+  let raw = "";
+  req.on("data", chunk => { raw += chunk; });
+  req.on("end", () => {
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      respond(res, 400, { errors: [{ message: "Invalid JSON body" }] });
+      return;
+    }
+
+    if (!req.headers.apikey) {
+      respond(res, 200, { data: null, errors: [{ message: "Not authorized" }] });
+      return;
+    }
+
+    // Connection test: query { me { name } }
+    if (/\bme\s*\{/.test(body.query || "")) {
+      console.log("[StashDB stub] me");
+      respond(res, 200, { data: { me: { name: "stub-user" } } });
+      return;
+    }
+
+    // Batched lookup: one idN variable per aliased sN: findScene(id: $idN) field
+    const data = {};
+    const ids = Object.entries(body.variables || {}).filter(([name]) => /^id\d+$/.test(name));
+    for (const [name, id] of ids) {
+      data[`s${name.slice(2)}`] = id.startsWith("missing") ? null : fakeScene(id);
+    }
+    console.log(`[StashDB stub] findScene x${ids.length}`);
+    respond(res, 200, { data });
+  });
+}).listen(port, "127.0.0.1", () => {
+  console.log(`[StashDB stub] Listening on http://127.0.0.1:${port}/graphql`);
+});
@@ -0,0 +1,413 @@
+// StashDB to Whisparr - Whisparr API Client
+// Loaded before background.js. Maps the extension's operations to the endpoints
+// and field names of each server's API version, detected on test connection.
+
+// ============================================
+// API Profiles
+// ============================================
+
+// API version assumed for servers that haven't been probed yet
+const DEFAULT_WHISPARR_API_VERSION = "v3";
+
+/**
+ * Endpoints and field names per Whisparr API version
+ * Operation paths are relative to the API root; {name} segments are filled from params.
+ * `required` lists the response fields the extension relies on (checked on each item of a list),
+ * `item` names the property that wraps each result, if any.
+ */
+const WHISPARR_API_PROFILES = {
+  v3: {
+    root: "/api/v3",
+    operations: {
+      systemStatus: { method: "GET", path: "system/status", required: ["version"] },
+      health: { method: "GET", path: "health", required: ["type", "message"] },
+      qualityProfiles: { method: "GET", path: "qualityprofile", required: ["id", "name"] },
+      rootFolders: { method: "GET", path: "rootfolder", required: ["path"] },
+      lookupScene: { method: "GET", path: "lookup/scene", item: "movie", required: ["foreignId", "title"] },
+      listScenes: { method: "GET", path: "movie", required: ["id", "foreignId"] },
+      getScene: { method: "GET", path: "movie/{id}", required: ["id", "hasFile"] },
+      addScene: { method: "POST", path: "movie", required: ["id"] },
+      deleteScene: { method: "DELETE", path: "movie/{id}" },
+      runCommand: { method: "POST", path: "command", required: ["id"] },
+      getCommand: { method: "GET", path: "command/{id}", required: ["status"] },
+      listTags: { method: "GET", path: "tag", required: ["id", "label"] },
+      createTag: { method: "POST", path: "tag", required: ["id"] },
+      listExclusions: { method: "GET", path: "exclusions", required: ["id", "foreignId"] },
+      deleteExclusion: { method: "DELETE", path: "exclusions/{id}" },
+      queueDetails: { method: "GET", path: "queue/details", required: ["movieId", "size", "sizeleft"] },
+      sceneHistory: { method: "GET", path: "history/movie", required: ["date", "eventType"] },
+      listEntities: { method: "GET", path: "{entity}", required: ["id", "foreignId"] },
+      lookupEntity: { method: "GET", path: "lookup/{entity}", required: ["foreignId"] },
+      addEntity: { method: "POST", path: "{entity}", required: ["id"] },
+      updateEntity: { method: "PUT", path: "{entity}/{id}", required: ["id"] }
+    },
+    // Names this API version uses for fields and values in requests and records
+    fields: {
+      sceneId: "movieId",
+      sceneIds: "movieIds",
+      sceneSearchCommand: "MoviesSearch",
+      exclusionTitle: "movieTitle"
+    },
+    // Optional features and the operation whose endpoint proves the server has them
+    capabilities: {
+      health: { operation: "health", label: "health checks" },
+      exclusions: { operation: "listExclusions", label: "import exclusions" },
+      queue: { operation: "queueDetails", label: "download tracking" },
+      performers: { operation: "listEntities", params: { entity: "performer" }, label: "performer monitoring" },
+      studios: { operation: "listEntities", params: { entity: "studio" }, label: "studio monitoring" }
+    }
+  }
+};
+
+// ============================================
+// Errors and Requests
+// ============================================
+
+/**
+ * A failed Whisparr request, tagged with the kind of failure
+ * Kinds: network, auth, not-found, rate-limited, server, validation, excluded, incompatible, config, unknown
+ */
+class WhisparrError extends Error {
+  constructor(message, kind, { status = null, retryAfterMs = null, validationErrors = null } = {}) {
+    super(message);
+    this.name = "WhisparrError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.validationErrors = validationErrors;
+  }
+}
+
+// Map an HTTP status code to an error kind
+function getErrorKindForStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 404) return "not-found";
+  if (status === 429) return "rate-limited";
+  if (status >= 500) return "server";
+  if (status >= 400) return "validation";
+  return "unknown";
+}
+
+/**
+ * Build a classified error from a failed response
+ * Doesn't log: some failures are expected outcomes (e.g. the "already exists" 400 on add),
+ * so callers log the errors they don't handle.
+ * @param {string} prefix - What was being attempted (e.g. "Lookup failed")
+ * @param {Response} response - The non-ok fetch response
+ */
+async function createResponseError(prefix, response) {
+  const errorText = await response.text().catch(() => "");
+  const retryAfter = parseInt(response.headers.get("Retry-After"), 10);
+  const validationErrors = response.status === 400 ? parseValidationErrors(errorText) : null;
+
+  const message = validationErrors
+    ? `${prefix}: ${validationErrors.map(e => e.field ? `${e.field}: ${e.message}` : e.message).join("; ")}`
+    : `${prefix}: ${response.status}${errorText ? ` - ${errorText}` : ""}`;
+
+  return new WhisparrError(message, getErrorKindForStatus(response.status), {
+    status: response.status,
+    retryAfterMs: retryAfter >= 0 ? retryAfter * 1000 : null,
+    validationErrors
+  });
+}
+
+/**
+ * Parse Whisparr's validation failure array from a 400 response body
+ * @param {string} errorText - Response body
+ * @returns {Array|null} [{ field, message, code }], or null if the body isn't a validation array
+ */
+function parseValidationErrors(errorText) {
+  let body;
+  try {
+    body = JSON.parse(errorText);
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(body) || body.length === 0 || !body.every(e => e && typeof e.errorMessage === "string")) {
+    return null;
+  }
+
+  return body.map(e => ({
+    field: e.propertyName || null,
+    message: e.errorMessage,
+    code: e.errorCode || null
+  }));
+}
+
+/**
+ * Build the request headers for a server: API key plus any reverse proxy authentication
+ * server.auth is { type: 'none'|'basic'|'headers', username, password, headers: [{ name, value }] }
+ * @param {Object} server - Server profile
+ * @param {Object} extra - Additional headers (e.g. Content-Type)
+ */
+function getWhisparrHeaders(server, extra = {}) {
+  const headers = {
+    "X-Api-Key": server.apiKey,
+    "X-Requested-With": "XMLHttpRequest"
+  };
+
+  const auth = server.auth || {};
+  if (auth.type === 'basic' && auth.username) {
+    // Encode as UTF-8 first so non-ASCII credentials survive btoa
+    const credentials = new TextEncoder().encode(`${auth.username}:${auth.password || ""}`);
+    headers["Authorization"] = `Basic ${btoa(String.fromCharCode(...credentials))}`;
+  } else if (auth.type === 'headers') {
+    for (const { name, value } of auth.headers || []) {
+      if (name) {
+        headers[name] = value || "";
+      }
+    }
+  }
+
+  return { ...headers, ...extra };
+}
+
+// fetch() wrapper that turns connection failures into network errors
+async function fetchWhisparr(url, options) {
+  // Request() rejects a bad URL or header name before anything is sent - a settings
+  // problem that retrying won't fix, not an outage
+  let request;
+  try {
+    request = new Request(url, options);
+  } catch (error) {
+    throw new WhisparrError(`Invalid Whisparr request settings: ${error.message}`, "config");
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    throw new WhisparrError(`Whisparr unreachable: ${error.message}`, "network");
+  }
+}
+
+// ============================================
+// Client
+// ============================================
+
+// Detected API version and capabilities per server ID (persisted to storage)
+const whisparrCapabilitiesCache = new Map();
+
+// Load probe results saved by earlier sessions
+async function loadWhisparrCapabilities() {
+  const data = await browser.storage.local.get({ whisparrCapabilities: {} });
+  for (const [serverId, capabilities] of Object.entries(data.whisparrCapabilities)) {
+    if (!whisparrCapabilitiesCache.has(serverId)) {
+      whisparrCapabilitiesCache.set(serverId, capabilities);
+    }
+  }
+}
+
+// Remember a server's probe result for this and later sessions
+async function saveWhisparrCapabilities(serverId, capabilities) {
+  whisparrCapabilitiesCache.set(serverId, capabilities);
+  await browser.storage.local.set({ whisparrCapabilities: Object.fromEntries(whisparrCapabilitiesCache) });
+}
+
+/**
+ * Create a client for one server
+ * Uses the API version detected for the server, or the default until it has been probed.
+ * @param {Object} server - Server profile
+ * @param {string} apiVersion - Force an API version (used while probing)
+ * @returns {Object} Client with send(), request() and parse() for named operations
+ */
+function createWhisparrClient(server, apiVersion = null) {
+  const baseUrl = server.whisparrUrl.replace(/\/$/, "");
+  const capabilities = whisparrCapabilitiesCache.get(server.id) || null;
+  const version = apiVersion || capabilities?.apiVersion || DEFAULT_WHISPARR_API_VERSION;
+  const profile = WHISPARR_API_PROFILES[version] || WHISPARR_API_PROFILES[DEFAULT_WHISPARR_API_VERSION];
+
+  // Server and API version, for error messages
+  const describe = () => capabilities?.version
+    ? `Whisparr ${capabilities.version}, API ${version}`
+    : `API ${version}`;
+
+  function getOperation(name) {
+    const operation = profile.operations[name];
+    if (!operation) {
+      throw new WhisparrError(`Whisparr API ${version} has no "${name}" operation`, "incompatible");
+    }
+    return operation;
+  }
+
+  // Fill {name} segments of a path from params
+  function fillPath(path, params) {
+    return path.replace(/\{(\w+)\}/g, (match, key) => encodeURIComponent(params[key]));
+  }
+
+  // Check one result for the fields the extension depends on
+  function checkFields(operation, value) {
+    const record = operation.item ? value?.[operation.item] || value : value;
+    if (!record || typeof record !== "object") return;
+
+    const missing = operation.required.find(field => !(field in record));
+    if (missing) {
+      throw new WhisparrError(
+        `Unexpected response from ${operation.path}: missing "${missing}" (${describe()}). ` +
+        `The server's API may have changed - run Test Connection in the extension options.`,
+        "incompatible"
+      );
+    }
+  }
+
+  const client = {
+    server,
+    baseUrl,
+    apiVersion: version,
+
+    // Name this API version uses for a field or value (see profile fields)
+    field(name) {
+      return profile.fields[name];
+    },
+
+    // Whether the server has an optional feature; unprobed servers are assumed to
+    supports(capability) {
+      return capabilities?.supported?.[capability] !== false;
+    },
+
+    url(name, { params = {}, query = null } = {}) {
+      const operation = getOperation(name);
+      const url = `${baseUrl}${profile.root}/${fillPath(operation.path, params)}`;
+      return query ? `${url}?${new URLSearchParams(query)}` : url;
+    },
+
+    /**
+     * Send an operation and return the raw response
+     * @param {string} name - Operation name from the API profile
+     * @param {Object} options - { params, query, body, method } (method overrides the operation's, e.g. HEAD)
+     */
+    send(name, { params = {}, query = null, body, method = null } = {}) {
+      const operation = getOperation(name);
+      const options = { method: method || operation.method, headers: getWhisparrHeaders(server) };
+      if (body !== undefined) {
+        options.headers = getWhisparrHeaders(server, { "Content-Type": "application/json" });
+        options.body = JSON.stringify(body);
+      }
+      return fetchWhisparr(client.url(name, { params, query }), options);
+    },
+
+    /**
+     * Read a successful response, checking it has the fields the extension depends on
+     * @returns {Promise<*>} Parsed JSON, or null for an empty body
+     */
+    async parse(name, response) {
+      const operation = getOperation(name);
+      const text = await response.text();
+
+      // A proxy login or error page answered instead of Whisparr
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (error) {
+        const contentType = response.headers.get("Content-Type") || "no content type";
+        throw new WhisparrError(
+          `Expected JSON from ${operation.path} but got ${contentType} (${describe()}). ` +
+          `Check the server URL and reverse proxy authentication.`,
+          "config",
+          { status: response.status }
+        );
+      }
+
+      if (operation.required && data) {
+        checkFields(operation, Array.isArray(data) ? data[0] : data);
+      }
+      return data;
+    },
+
+    /**
+     * Send an operation and return its checked JSON, throwing a classified error on failure
+     * A 404 from an endpoint without an ID means the server's API doesn't have it.
+     * @param {string} name - Operation name from the API profile
+     * @param {Object} options - { params, query, body }
+     * @param {string} errorPrefix - What was being attempted (e.g. "Lookup failed")
+     */
+    async request(name, options = {}, errorPrefix = "Request failed") {
+      const response = await client.send(name, options);
+
+      if (!response.ok) {
+        const error = await createResponseError(errorPrefix, response);
+        const operation = getOperation(name);
+        if (response.status === 404 && !/\{id\}/.test(operation.path)) {
+          error.kind = "incompatible";
+          error.message = `${errorPrefix}: the server has no ${fillPath(operation.path, options.params || {})} endpoint (${describe()})`;
+        }
+        throw error;
+      }
+
+      return client.parse(name, response);
+    }
+  };
+
+  return client;
+}
+
+// ============================================
+// Capability Probe
+// ============================================
+
+/**
+ * Detect a server's API version, Whisparr version and optional features
+ * The result is cached per server and used by every client created afterwards.
+ * @param {Object} server - Server profile (must have an ID to be cached)
+ * @returns {Promise<Object>} { apiVersion, appName, version, supported: { capability: boolean }, probedAt }
+ */
+async function probeWhisparrApi(server) {
+  const baseUrl = server.whisparrUrl.replace(/\/$/, "");
+
+  // The API root lists the versions the server offers; older servers don't answer it
+  let apiVersion = DEFAULT_WHISPARR_API_VERSION;
+  const apiResponse = await fetchWhisparr(`${baseUrl}/api`, { headers: getWhisparrHeaders(server) });
+  if (apiResponse.status === 401 || apiResponse.status === 403) {
+    throw await createResponseError("Connection failed", apiResponse);
+  }
+  if (apiResponse.ok) {
+    const info = await apiResponse.json().catch(() => null);
+    const offered = [info?.current, ...(info?.deprecated || [])].filter(Boolean);
+    if (offered.length > 0) {
+      apiVersion = offered.find(v => WHISPARR_API_PROFILES[v]);
+      if (!apiVersion) {
+        throw new WhisparrError(
+          `Whisparr offers API ${offered.join(", ")}, but this extension supports ${Object.keys(WHISPARR_API_PROFILES).join(", ")}`,
+          "incompatible"
+        );
+      }
+    }
+  }
+
+  const client = createWhisparrClient(server, apiVersion);
+  const status = await client.request("systemStatus", {}, "Status check failed");
+
+  // HEAD is enough to tell whether an endpoint exists (a missing one is a 404, an existing GET-only
+  // one a 405), without downloading whole performer, studio, exclusion and queue lists
+  const supported = {};
+  for (const [capability, { operation, params }] of Object.entries(WHISPARR_API_PROFILES[apiVersion].capabilities)) {
+    const response = await client.send(operation, { params, method: "HEAD" });
+    supported[capability] = response.status !== 404;
+  }
+
+  const capabilities = {
+    apiVersion,
+    appName: status.appName || "Whisparr",
+    version: status.version || null,
+    supported,
+    probedAt: Date.now()
+  };
+  console.log("[StashDB-Whisparr] Probed", server.name || baseUrl, capabilities);
+
+  if (server.id) {
+    await saveWhisparrCapabilities(server.id, capabilities);
+  }
+  return capabilities;
+}
+
+// Labels of the optional features a probe found missing
+function getMissingCapabilityLabels(capabilities) {
+  const profile = WHISPARR_API_PROFILES[capabilities.apiVersion];
+  return Object.entries(capabilities.supported)
+    .filter(([, supported]) => !supported)
+    .map(([capability]) => profile.capabilities[capability].label);
+}
+
+loadWhisparrCapabilities().catch(error => {
+  console.error("[StashDB-Whisparr] Failed to load API capabilities:", error);
+});